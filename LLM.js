@@ -1,85 +1,245 @@
 // --- AI Logic (Standard Fetch for Chrome Extensions) ---
-const apiKey = "YOUR KEY";
-const SETTINGS_KEY = "userSettings";
-
-const callGemini = async (title) => {
-  const result = await chrome.storage.local.get([SETTINGS_KEY]);
-  const settings = result[SETTINGS_KEY] || {};
-  const keywords = settings.keywords || {
-    curriculum: [],
-    phd: [],
-  };
-
-  const prompt = `System Prompt:
+// getUserSettings() comes from shared.js,
+// getCorrections() and selectRelevantCorrections() from corrections.js
+
+/**
+ * Describes one category for the classifier prompt, e.g.
+ * "phd: Deep research topics. Keywords: robotics, SLAM".
+ */
+const describeCategory = (category) => {
+  let line = `${category.id}: ${category.description || category.name}`;
+  if (category.keywords && category.keywords.length) {
+    line += ` Keywords: ${category.keywords.join(", ")}.`;
+  }
+  return line;
+};
 
-You are a strict video classifier. You must categorize a YouTube video into exactly one of these categories: 'trash', 'interesting', 'curriculum', 'phd'.
+/**
+ * Turns the user's past corrections into few-shot examples for the prompt.
+ * Returns an empty string when there are none.
+ */
+const describeCorrections = (corrections) => {
+  if (!corrections.length) return "";
+  const lines = corrections
+    .map(
+      (c) =>
+        `- "${c.title}" should be ${c.correctCategory}, not ${c.wrongCategory}.`
+    )
+    .join("\n");
+  return `The user corrected these past mistakes. Learn from them:\n${lines}\n\n`;
+};
 
-trash: Entertainment, gossip, memes, gaming, low-value content.
+/**
+ * Builds the classifier prompt from the user's categories and the past
+ * corrections most relevant to this title.
+ * @param {string} title
+ * @param {string} [kind] - What is being classified, e.g. "Reddit post".
+ * @returns {Promise<string>}
+ */
+const buildClassifierPrompt = async (title, kind = "YouTube video") => {
+  const { categories, maxCorrectionExamples } = await getUserSettings();
+  const categoryIds = categories.map((cat) => `'${cat.id}'`).join(", ");
+  const corrections = selectRelevantCorrections(
+    await getCorrections(),
+    title,
+    maxCorrectionExamples
+  );
 
-phd: ${keywords.phd.join(", ")}
+  return `System Prompt:
 
-curriculum:  ${keywords.curriculum.join(", ")}.
+You are a strict content classifier. You must categorize a ${kind} into exactly one of these categories: ${categoryIds}.
 
-interesting: Anything educational/commentary that doesn't fit the above.
+${categories.map(describeCategory).join("\n\n")}
 
-The YouTube title is ${title}.
+${describeCorrections(corrections)}The ${kind} title is ${title}.
 
 Reply ONLY with the category name in lowercase.`;
+};
 
-  if (!apiKey) {
-    console.warn("Gemini API Key is missing or invalid in popup.js");
-    return "Please set your API key in popup.js";
-  }
-
-  // *** FIX: Changed URL to use the required model and path structure ***
-  const model = "gemini-2.5-flash-preview-09-2025";
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+// --- Providers ---
+// Each backend turns a prompt into the model's text reply, or throws.
 
-  const payload = {
-    contents: [
-      {
-        parts: [{ text: prompt }],
-      },
-    ],
-  };
+// How long an AI request may take, so a hung provider can't hold up its
+// caller (e.g. the journal at the day start) forever
+const LLM_TIMEOUT_MS = 60 * 1000;
 
+/**
+ * POSTs JSON and returns the parsed response, throwing on HTTP errors and
+ * after LLM_TIMEOUT_MS without a response.
+ */
+const postJson = async (url, payload, headers = {}) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), LLM_TIMEOUT_MS);
   try {
     const response = await fetch(url, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
+        ...headers,
       },
       body: JSON.stringify(payload),
+      signal: controller.signal,
     });
 
     if (!response.ok) {
       // Throw an error with the HTTP status for better debugging
       const errorText = await response.text();
-      console.error("Gemini Response Error:", errorText);
+      console.error("LLM Response Error:", errorText);
       throw new Error(`HTTP error! Status: ${response.status}`);
     }
 
-    const data = await response.json();
-
-    // Check if the content part exists
-    if (
-      data.candidates &&
-      data.candidates.length > 0 &&
-      data.candidates[0].content &&
-      data.candidates[0].content.parts &&
-      data.candidates[0].content.parts.length > 0
-    ) {
-      const content = data.candidates[0].content.parts[0].text;
-      return content;
-    } else {
-      console.error(
-        "Gemini Error: No text content returned in response.",
-        data
+    return await response.json();
+  } catch (err) {
+    if (err.name !== "AbortError") throw err;
+    throw new Error(`No AI response within ${LLM_TIMEOUT_MS / 1000} s`);
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+const LLM_PROVIDERS = {
+  gemini: {
+    label: "Google Gemini",
+    defaultEndpoint: "https://generativelanguage.googleapis.com/v1beta",
+    defaultModel: "gemini-2.5-flash",
+    needsApiKey: true,
+    complete: async (prompt, { endpoint, model, apiKey }) => {
+      const data = await postJson(
+        `${endpoint}/models/${model}:generateContent?key=${apiKey}`,
+        { contents: [{ parts: [{ text: prompt }] }] }
       );
-      return "Error: Empty AI response";
-    }
-  } catch (error) {
-    console.error("AI Call Failed:", error);
-    return `Error fetching AI response: ${error.message}`;
+      const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (!text) throw new Error("Empty AI response");
+      return text;
+    },
+  },
+
+  openai: {
+    label: "OpenAI-compatible",
+    defaultEndpoint: "https://api.openai.com/v1",
+    defaultModel: "gpt-4o-mini",
+    needsApiKey: false, // Many self-hosted servers don't use one
+    complete: async (prompt, { endpoint, model, apiKey }) => {
+      const data = await postJson(
+        `${endpoint}/chat/completions`,
+        {
+          model,
+          messages: [{ role: "user", content: prompt }],
+          temperature: 0,
+        },
+        apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+      );
+      const text = data.choices?.[0]?.message?.content;
+      if (!text) throw new Error("Empty AI response");
+      return text;
+    },
+  },
+
+  ollama: {
+    label: "Local (Ollama)",
+    defaultEndpoint: "http://localhost:11434",
+    defaultModel: "llama3.2",
+    needsApiKey: false,
+    complete: async (prompt, { endpoint, model }) => {
+      const data = await postJson(`${endpoint}/api/chat`, {
+        model,
+        messages: [{ role: "user", content: prompt }],
+        stream: false,
+      });
+      const text = data.message?.content;
+      if (!text) throw new Error("Empty AI response");
+      return text;
+    },
+  },
+};
+
+/**
+ * Sends a prompt to the configured provider and returns its text reply.
+ * @param {string} prompt
+ * @param {object} [llmConfig] - Overrides the stored `llm` settings
+ *   (used by the settings page to test unsaved values).
+ * @returns {Promise<string>}
+ */
+const callLLM = async (prompt, llmConfig) => {
+  const config = llmConfig || (await getUserSettings()).llm;
+  const provider = LLM_PROVIDERS[config.provider];
+  if (!provider) throw new Error(`Unknown AI provider "${config.provider}"`);
+  if (provider.needsApiKey && !config.apiKey) {
+    throw new Error(`Please set your ${provider.label} API key in settings`);
   }
+
+  return provider.complete(prompt, {
+    endpoint: (config.endpoint || provider.defaultEndpoint).replace(/\/+$/, ""),
+    model: config.model || provider.defaultModel,
+    apiKey: config.apiKey,
+  });
+};
+
+/**
+ * Asks the configured AI which category a title belongs to.
+ * @param {string} title
+ * @param {object} [llmConfig] - See callLLM().
+ * @param {string} [kind] - See buildClassifierPrompt().
+ * @returns {Promise<string>} The reply, trimmed and lowercased. Callers
+ *   must check it is one of the category ids.
+ */
+const classifyTitle = async (title, llmConfig, kind) => {
+  const prompt = await buildClassifierPrompt(title, kind);
+  const reply = await callLLM(prompt, llmConfig);
+  return reply.trim().toLowerCase();
+};
+
+// --- Journaling ---
+// End-of-day reflection questions, see journal.js.
+
+const JOURNAL_QUESTION_COUNT = 3;
+
+/**
+ * Builds the prompt asking for reflection questions about a day.
+ * @param {object} summary - From summarizeDay() in journal.js.
+ * @returns {string}
+ */
+const buildJournalPrompt = (summary) => {
+  const totals = summary.totals.length
+    ? summary.totals
+        .map((t) => {
+          const limit = t.limit === null ? "" : ` (limit ${t.limit} min)`;
+          return `- ${t.name}: ${t.minutes} min${limit}`;
+        })
+        .join("\n")
+    : "- Nothing was tracked.";
+  const titles = summary.titles.length
+    ? `\n\nWhat they watched or read:\n${summary.titles
+        .map((title) => `- ${title}`)
+        .join("\n")}`
+    : "";
+
+  return `System Prompt:
+
+You are a thoughtful journaling coach. The user tracks their time on YouTube and Reddit by category to stay intentional about it.
+
+Time spent on ${summary.dateKey}, per category:
+${totals}${titles}
+
+Write ${JOURNAL_QUESTION_COUNT} short, personal reflection questions about this day that help the user notice their habits and decide what to do differently. Refer to the actual categories and content.
+
+Reply ONLY with the questions, one per line, without numbering.`;
+};
+
+/**
+ * Asks the configured AI for reflection questions about a day.
+ * @param {object} summary - See buildJournalPrompt().
+ * @param {object} [llmConfig] - See callLLM().
+ * @returns {Promise<string[]>} Two or three questions.
+ */
+const createJournalQuestions = async (summary, llmConfig) => {
+  const reply = await callLLM(buildJournalPrompt(summary), llmConfig);
+  const questions = reply
+    .split("\n")
+    .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").trim())
+    .filter((line) => line.endsWith("?"))
+    .slice(0, JOURNAL_QUESTION_COUNT);
+  if (questions.length < 2)
+    throw new Error("The AI didn't reply with questions");
+  return questions;
 };
@@ -1,48 +1,69 @@
 // --- IMPORT SHARED FILES ---
 try {
-  importScripts("llm.js");
+  importScripts(
+    "shared.js",
+    "schedule.js",
+    "sites/youtube.js",
+    "sites/reddit.js",
+    "sites/adapters.js",
+    "history.js",
+    "corrections.js",
+    "rules.js",
+    "cache.js",
+    "LLM.js",
+    "classifier.js",
+    "overrides.js",
+    "interventions.js",
+    "timers.js",
+    "journal.js",
+    "intentions.js",
+    "focus.js",
+    "sync.js"
+  );
 } catch (e) {
   console.error(e);
 }
 
 // --- CONSTANTS ---
-const MIN_TO_MS = 60 * 1000;
-const TODAY_KEY_CHECK = "lastRunDate";
-const ACTIVE_TIMERS_KEY = "activeTimers";
-const SETTINGS_KEY = "userSettings"; // From settings.js
+// MIN_TO_MS, SETTINGS_KEY and SHORTS_USAGE_KEY come from shared.js,
+// ACTIVE_TIMERS_KEY from timers.js
+const LIMIT_WARNINGS_KEY = "limitWarnings"; // { date, sent: [warning keys] }
 
 // --- Settings Cache ---
 let userSettings = {
-  limits: {},
-  limitsInMs: {},
-  keywords: {},
-};
-
-const DEFAULT_LIMITS = {
-  trash: 0.5,
-  interesting: 30,
-  curriculum: 60,
-  phd: 9999,
+  categories: [],
+  blockedChannels: [],
+  shorts: DEFAULT_SETTINGS.shorts,
+  surfaces: DEFAULT_SETTINGS.surfaces,
+  overrides: DEFAULT_SETTINGS.overrides,
+  warnings: DEFAULT_SETTINGS.warnings,
+  timeAccounting: DEFAULT_SETTINGS.timeAccounting,
+  journal: DEFAULT_SETTINGS.journal,
+  goalReminderTime: DEFAULT_SETTINGS.goalReminderTime,
+  dayStartHour: DEFAULT_SETTINGS.dayStartHour,
+  loaded: false,
 };
 
 // --- INITIALIZATION ---
 async function loadSettings() {
-  const data = await chrome.storage.local.get(SETTINGS_KEY);
-  const savedSettings = data[SETTINGS_KEY] || {};
-
-  userSettings.limits = savedSettings.limits || DEFAULT_LIMITS;
-  userSettings.keywords = savedSettings.keywords || { curriculum: [], phd: [] };
+  const settings = await getUserSettings();
 
-  userSettings.limitsInMs = {};
-  for (const category in userSettings.limits) {
-    userSettings.limitsInMs[category] =
-      userSettings.limits[category] * MIN_TO_MS;
-  }
+  userSettings.categories = settings.categories;
+  userSettings.blockedChannels = settings.blockedChannels;
+  userSettings.shorts = settings.shorts;
+  userSettings.surfaces = settings.surfaces;
+  userSettings.overrides = settings.overrides;
+  userSettings.warnings = settings.warnings;
+  userSettings.timeAccounting = settings.timeAccounting;
+  userSettings.dayStartHour = settings.dayStartHour;
+  userSettings.journal = settings.journal;
+  userSettings.goalReminderTime = settings.goalReminderTime;
+  userSettings.loaded = true;
   console.log("Settings loaded:", userSettings);
 }
 
 async function ensureSettingsLoaded() {
-  if (!userSettings.limitsInMs.trash) await loadSettings();
+  if (!userSettings.loaded) await loadSettings();
 }
 
 chrome.runtime.onInstalled.addListener(() => {
@@ -51,6 +72,7 @@ chrome.runtime.onInstalled.addListener(() => {
     periodInMinutes: 1,
   });
   loadSettings();
+  syncSettings();
 });
 
 chrome.runtime.onStartup.addListener(() => {
@@ -59,48 +81,140 @@ chrome.runtime.onStartup.addListener(() => {
     periodInMinutes: 1,
   });
   loadSettings();
+  syncSettings();
 });
 
 chrome.storage.onChanged.addListener((changes, namespace) => {
-  if (namespace === "local" && changes[SETTINGS_KEY]) loadSettings();
+  if (namespace === "local" && changes[SETTINGS_KEY]) {
+    const { oldValue, newValue } = changes[SETTINGS_KEY];
+    // Cached AI labels are stale once categories or keywords change
+    if (
+      getClassifierFingerprint(oldValue) !== getClassifierFingerprint(newValue)
+    ) {
+      console.log("Categories changed, clearing the classification cache.");
+      clearClassificationCache({
+        keepUserLabels: true,
+        categoryIds: normalizeSettings(newValue).categories.map((c) => c.id),
+      });
+    }
+    // The time accounting mode may have changed which timers should run
+    loadSettings().then(syncTimers);
+    syncSettingsChange(oldValue, newValue);
+  }
+  // Another device synced its settings or its stats, see sync.js
+  if (namespace === "sync") {
+    const keys = Object.keys(changes);
+    if (keys.some((key) => key.startsWith(SYNC_SETTINGS_PREFIX))) {
+      syncSettings();
+    }
+    if (keys.some((key) => key.startsWith(SYNC_STATS_PREFIX))) {
+      remoteStats = null;
+    }
+  }
 });
 
 // --- CORE TIMER LOGIC ---
 
-async function attemptStartTimer(tabId, category) {
+/**
+ * Starts timing a tab against a category, or blocks it if the category is
+ * already over its limit.
+ * @param {number} tabId
+ * @param {string} category - Category id.
+ * @param {object} [options]
+ * @param {"ai"|"rule"|"channel"|"user"|"shorts"} [options.source] - Who picked the category.
+ * @param {object} [options.rule] - The rule that fired, when source is "rule".
+ * @param {object} [options.item] - Item info, requested from the tab if omitted.
+ * @param {boolean} [options.shorts] - Also count the time against the Shorts limit.
+ */
+async function attemptStartTimer(tabId, category, options = {}) {
   await ensureSettingsLoaded();
 
-  const totalStats = await getTodaysTotalStats();
-  const timeSpent = totalStats[category];
-  const timeLimit = userSettings.limitsInMs[category];
+  const source = options.source || "user";
+  const rule = options.rule || null;
+  const shorts = !!options.shorts;
+  const item = options.item || (await getItemInfoSafe(tabId));
 
-  if (timeSpent >= timeLimit) {
+  // A category picked by hand is what this item should always be
+  if (source === "user") {
+    await cacheClassification(item.itemId, category, "user");
+  }
+
+  const limitReason = await getLimitReason({ category, shorts });
+  const timer = createTimer({
+    category: category,
+    source: source,
+    rule: rule,
+    shorts: shorts,
+    item: item,
+    // Reported by the content script; tabs that can't answer count as playing
+    playing: item.isPlaying !== false,
+  });
+  await updateTimers(async (timers) => {
+    const previous = timers[tabId];
+    // Started twice, e.g. by the popup and tryAutoCategorize(): keep counting
+    if (previous && previous.category === category) return;
+    // Another category: close off the old timer first, like stopTimerAndSave()
+    if (previous) {
+      await pauseAndRecord(previous);
+      if (previous.totalTimeMs > 0) {
+        await recordTimerTime(getTodayKey(), previous);
+      }
+    }
+    timers[tabId] = timer;
+  });
+
+  if (limitReason) {
     console.log(`Category "${category}" over limit. Blocking tab ${tabId}.`);
-    const activeTimers = await getActiveTimers();
-    activeTimers[tabId] = {
-      category: category,
-      totalTimeMs: 0,
-      startTime: null,
-    };
-    await saveActiveTimers(activeTimers);
-    chrome.tabs.sendMessage(tabId, { action: "blockVideo" });
+    await blockTab(tabId, limitReason);
     return { success: true, blocked: true };
   }
 
-  const activeTimers = await getActiveTimers();
+  // Pauses the others (Single Tasking Mode) and starts this one if it counts
+  await syncTimers();
+  clearTabBadge(tabId);
+  console.log(`Timer started for tab ${tabId} [${category}]`);
+  return { success: true, blocked: false };
+}
 
-  // Pause others first (Single Tasking Mode)
-  await pauseAllTimers(tabId);
+/**
+ * Moves an already-timed tab to another category picked by the user.
+ * Time counted so far moves with it, and if the AI had picked the old
+ * category the mistake is stored so future prompts can learn from it.
+ * @param {number} tabId
+ * @param {string} category - The new category id.
+ */
+async function recategorizeTab(tabId, category) {
+  const timerData = await getTimer(tabId);
+  if (!timerData) return attemptStartTimer(tabId, category, { source: "user" });
+  if (timerData.category === category) return { success: true };
 
-  activeTimers[tabId] = {
-    category: category,
-    totalTimeMs: 0,
-    startTime: Date.now(),
-  };
+  if (timerData.source === "ai" && timerData.item?.title) {
+    await addCorrection({
+      title: timerData.item.title,
+      channel: timerData.item.channel || "",
+      wrongCategory: timerData.category,
+      correctCategory: category,
+    });
+    console.log(`📝 Stored correction: ${timerData.category} -> ${category}`);
+  }
 
-  await saveActiveTimers(activeTimers);
-  chrome.action.setBadgeText({ tabId: tabId, text: "" });
-  console.log(`Timer started for tab ${tabId} [${category}]`);
+  await updateTimers((timers) => {
+    if (!timers[tabId]) return;
+    timers[tabId].category = category;
+    timers[tabId].source = "user";
+    timers[tabId].rule = null;
+  });
+  await cacheClassification(timerData.item?.itemId, category, "user");
+
+  // Re-check the limit against the new category
+  const limitReason = await getLimitReason({ ...timerData, category });
+  if (limitReason) {
+    await blockTab(tabId, limitReason);
+    return { success: true, blocked: true };
+  }
+  await setTabBlocked(tabId, false);
+  await syncTimers();
+  chrome.tabs.sendMessage(tabId, { action: "unblockVideo" });
   return { success: true, blocked: false };
 }
 
@@ -111,32 +225,24 @@ async function tryAutoCategorize(tabId) {
   await new Promise((r) => setTimeout(r, 1500));
 
   try {
-    const title = await new Promise((resolve, reject) => {
-      chrome.tabs.sendMessage(
-        tabId,
-        { action: "requestTitleFromTab" },
-        (response) => {
-          if (chrome.runtime.lastError) return reject(chrome.runtime.lastError);
-          resolve(response?.title);
-        }
-      );
-    });
+    await ensureSettingsLoaded();
+    const item = await requestItemInfo(tabId);
+    console.log(`${item.kind || "Item"} Title:`, item.title);
 
-    if (!title || title === "YouTube") {
-      console.log("Title not ready yet, skipping auto-cat.");
+    const blockReason = getChannelBlockReason(item);
+    if (blockReason) {
+      await blockChannelTab(tabId, blockReason);
       return;
     }
 
-    console.log("Video Title:", title);
-
-    const category = await callGemini(title);
-    const validCategories = ["trash", "interesting", "curriculum", "phd"];
-
-    if (category && validCategories.includes(category)) {
-      console.log(`AI Decided: ${category}`);
-      await attemptStartTimer(tabId, category);
-    } else {
-      console.warn("AI returned invalid category:", category);
+    const result = await categorizeItem(item);
+    if (result) {
+      console.log(`Auto-categorized (${result.source}): ${result.category}`);
+      await attemptStartTimer(tabId, result.category, {
+        source: result.source,
+        rule: result.rule,
+        item,
+      });
     }
   } catch (err) {
     console.warn("Auto-categorization failed (tab closed or busy):", err);
@@ -146,25 +252,60 @@ async function tryAutoCategorize(tabId) {
 // --- EVENT LISTENERS ---
 
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (changeInfo.url && changeInfo.url.includes("youtube.com/watch")) {
-    const activeTimers = await getActiveTimers();
+  if (!changeInfo.url) return;
 
-    if (activeTimers[tabId]) {
+  if (YOUTUBE_SITE.getShortsId(changeInfo.url)) {
+    await handleShortsNavigation(tabId, changeInfo.url);
+    return;
+  }
+
+  // A video, post or subreddit page on any supported site (see sites/)
+  const itemId = getItemIdFromUrl(changeInfo.url);
+  const timer = await getTimer(tabId);
+  if (!itemId) {
+    // A page that isn't timed (home page, front page, profile, another
+    // site...): whatever was watched before is over
+    if (timer) {
       await stopTimerAndSave(tabId);
+      clearTabBadge(tabId);
+      if (timer.blocked) {
+        chrome.tabs
+          .sendMessage(tabId, { action: "unblockVideo" })
+          .catch(() => {});
+      }
     }
+    return;
+  }
 
-    chrome.action.setBadgeText({ tabId: tabId, text: "?" });
-    chrome.action.setBadgeBackgroundColor({ color: "#FFA500" });
-
-    tryAutoCategorize(tabId);
+  if (timer) {
+    // Same item, only the URL changed (timestamp, comment sort...)
+    if (timer.item?.itemId === itemId) return;
+    await stopTimerAndSave(tabId);
   }
+
+  chrome.action.setBadgeText({ tabId: tabId, text: "?" });
+  chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: "#FFA500" });
+
+  tryAutoCategorize(tabId);
 });
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // A. START TIMER
   if (message.action === "startTimer") {
     (async () => {
-      const result = await attemptStartTimer(message.tabId, message.category);
+      const result = await attemptStartTimer(message.tabId, message.category, {
+        source: message.source || "user",
+        rule: message.rule,
+      });
+      sendResponse(result);
+    })();
+    return true;
+  }
+
+  // A2. USER CORRECTS THE CATEGORY OF A TIMED TAB
+  if (message.action === "recategorize") {
+    (async () => {
+      const result = await recategorizeTab(message.tabId, message.category);
       sendResponse(result);
     })();
     return true;
@@ -175,7 +316,23 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     (async () => {
       await ensureSettingsLoaded();
       const totalStats = await getTodaysTotalStats();
-      sendResponse({ stats: totalStats, limits: userSettings.limits });
+      sendResponse({
+        stats: totalStats,
+        limits: Object.fromEntries(
+          userSettings.categories.map((c) => [
+            c.id,
+            getDailyLimit(c, getTodayStart()),
+          ])
+        ),
+        goals: Object.fromEntries(
+          userSettings.categories.map((c) => [
+            c.id,
+            getDailyGoal(c, getTodayStart()),
+          ])
+        ),
+        categories: userSettings.categories,
+        budgets: await getBudgetUsage(),
+      });
     })();
     return true;
   }
@@ -185,231 +342,1270 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     const tabId = sender.tab.id;
     (async () => {
       await ensureSettingsLoaded();
-      const activeTimers = await getActiveTimers();
-      const timer = activeTimers[tabId];
+      const timer = await getTimer(tabId);
+      // The handshake doubles as a playback report, in case an event was lost
+      if (timer && typeof message.playing === "boolean") {
+        await setTabPlaying(tabId, message.playing);
+      }
+
+      if (
+        YOUTUBE_SITE.getShortsId(sender.tab.url) &&
+        userSettings.shorts.mode === "block"
+      ) {
+        sendResponse({ action: "blockVideo", reason: SHORTS_BLOCKED_REASON });
+        return;
+      }
 
       if (!timer) {
-        sendResponse({ action: "unblockVideo" });
+        // Pages of blocked channels are never timed, so ask the page itself
+        const item =
+          getItemIdFromUrl(sender.tab.url) && (await getItemInfoSafe(tabId));
+        const channelReason = item && getChannelBlockReason(item);
+        sendResponse(
+          channelReason
+            ? { action: "blockVideo", reason: channelReason }
+            : { action: "unblockVideo" }
+        );
         return;
       }
 
-      const totalStats = await getTodaysTotalStats();
-      if (
-        totalStats[timer.category] >= userSettings.limitsInMs[timer.category]
-      ) {
-        await pauseTimer(tabId);
-        sendResponse({ action: "blockVideo" });
+      const limitReason = await getLimitReason(timer);
+      if (limitReason) {
+        await setTabBlocked(tabId, true);
+        sendResponse({
+          action: "blockVideo",
+          reason: limitReason,
+          overridable: await isOverridable(timer),
+        });
       } else {
-        sendResponse({ action: "unblockVideo" });
+        // Re-read: the playback report may have paused or resumed it
+        const current = await getTimer(tabId);
+        const running = current && current.startTime;
+        sendResponse({
+          action: "unblockVideo",
+          countdown: running ? await getCountdown(current) : null,
+          intervention: current ? await getIntervention(current) : null,
+        });
+        if (running) await checkLimitWarnings(current);
       }
     })();
     return true;
   }
 
+  // C2. THE VIDEO STARTED OR STOPPED PLAYING
+  if (message.action === "playbackChanged") {
+    (async () => {
+      await setTabPlaying(sender.tab.id, message.playing);
+      sendResponse({ success: true });
+    })();
+    return true;
+  }
+
+  // C3. "FIVE MORE MINUTES" (from the block overlay)
+  if (message.action === "getOverrideStatus") {
+    (async () => {
+      await markOverrideFormOpened(sender.tab.id);
+      sendResponse(await getOverrideStatus());
+    })();
+    return true;
+  }
+
+  if (message.action === "requestOverride") {
+    (async () => {
+      sendResponse(await grantOverride(sender.tab.id, message.reason));
+    })();
+    return true;
+  }
+
+  // C4. "ALWAYS TREAT THIS CHANNEL AS..." (from the popup)
+  if (message.action === "setChannelList") {
+    (async () => {
+      sendResponse(await setTabChannelList(message.tabId, message.target));
+    })();
+    return true;
+  }
+
+  // C5. WHICH YOUTUBE SURFACES TO HIDE (from the content script)
+  if (message.action === "getHiddenSurfaces") {
+    (async () => {
+      sendResponse({ surfaces: await getHiddenSurfaces() });
+    })();
+    return true;
+  }
+
+  // C6. WATCH INTENTIONS (from the content script's prompt)
+  if (message.action === "startIntention") {
+    (async () => {
+      await ensureSettingsLoaded();
+      const item = message.item || {};
+      const intention = await addIntention(getTodayKey(), {
+        itemId: item.itemId || null,
+        title: item.title || "",
+        url: item.url || "",
+        intent: message.intent,
+        minutes: message.minutes,
+      });
+      console.log(`🎯 Intention for "${intention.title}": ${intention.intent}`);
+      sendResponse({ intention });
+    })();
+    return true;
+  }
+
+  if (message.action === "updateIntention") {
+    (async () => {
+      await updateIntention(message.dateKey, message.id, message.changes);
+      sendResponse({ success: true });
+    })();
+    return true;
+  }
+
+  // C7. FOCUS SESSIONS (from the popup)
+  if (message.action === "getFocusSession") {
+    (async () => {
+      sendResponse({ session: await getFocusSession() });
+    })();
+    return true;
+  }
+
+  if (message.action === "startFocusSession") {
+    (async () => {
+      sendResponse(await startFocusSession(message.options || {}));
+    })();
+    return true;
+  }
+
+  if (message.action === "stopFocusSession") {
+    (async () => {
+      await ensureSettingsLoaded();
+      await endFocusSession("abandoned");
+      sendResponse({ success: true });
+    })();
+    return true;
+  }
+
   // D. TAB STATUS
   if (message.action === "getTabStatus") {
     (async () => {
-      const activeTimers = await getActiveTimers();
-      sendResponse({ category: activeTimers[message.tabId]?.category || null });
+      const timer = await getTimer(message.tabId);
+      sendResponse({ category: timer?.category || null });
     })();
     return true;
   }
 });
 
 // --- TAB CLEANUP ---
-chrome.tabs.onRemoved.addListener(async (tabId) => {
-  const activeTimers = await getActiveTimers();
-  if (activeTimers[tabId]) await stopTimerAndSave(tabId);
-});
+chrome.tabs.onRemoved.addListener((tabId) => stopTimerAndSave(tabId));
+
+// --- ATTENTION (what counts as watching) ---
+// Tab switches, window focus, idle state and playback all feed into
+// syncTimers(), which decides which timer runs.
+const IDLE_DETECTION_SECONDS = 60;
+chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+
+chrome.tabs.onActivated.addListener(() => syncTimers());
+chrome.windows.onFocusChanged.addListener(() => syncTimers());
+chrome.idle.onStateChanged.addListener(() => syncTimers());
+
+/**
+ * The tab whose timer may run right now: the active tab of the last focused
+ * window. With "focused" accounting the browser must also have the focus and
+ * the user must not be idle; with "playing" accounting those don't matter
+ * (watching looks idle), the video playing does instead.
+ * @returns {Promise<number|null>}
+ */
+async function getAttendedTabId() {
+  const win = await chrome.windows
+    .getLastFocused({ populate: true })
+    .catch(() => null);
+  if (!win) return null;
+
+  if (userSettings.timeAccounting === "focused") {
+    if (!win.focused) return null;
+    const idleState = await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+    if (idleState !== "active") return null;
+  }
+  const tab = win.tabs.find((t) => t.active);
+  return tab ? tab.id : null;
+}
 
-chrome.tabs.onActivated.addListener(async (activeInfo) => {
-  const newActiveTabId = activeInfo.tabId;
+/**
+ * Runs the attended tab's timer (if it counts) and pauses all the others.
+ */
+async function syncTimers() {
+  await ensureSettingsLoaded();
+  const attendedTabId = await getAttendedTabId();
   const activeTimers = await getActiveTimers();
-  const timerPromises = Object.keys(activeTimers).map((tabIdStr) => {
+
+  for (const tabIdStr in activeTimers) {
     const tabId = parseInt(tabIdStr);
-    if (tabId === newActiveTabId) {
-      return resumeTimer(tabId);
+    const counts =
+      userSettings.timeAccounting === "focused" ||
+      activeTimers[tabId].playing !== false;
+    if (tabId === attendedTabId && counts) {
+      await resumeTimer(tabId);
     } else {
-      return pauseTimer(tabId);
+      await pauseTimer(tabId);
     }
+  }
+}
+
+/**
+ * Records whether the tab's video is playing, as reported by the content
+ * script, and re-evaluates the timers if that changed.
+ */
+async function setTabPlaying(tabId, playing) {
+  const changed = await updateTimers((timers) => {
+    if (!timers[tabId] || timers[tabId].playing === playing) return false;
+    timers[tabId].playing = playing;
+    return true;
   });
-  await Promise.all(timerPromises);
-});
+  if (!changed) return;
+
+  console.log(`Tab ${tabId} ${playing ? "started" : "stopped"} playing.`);
+  await syncTimers();
+}
 
 // --- HELPER FUNCTIONS ---
-async function getActiveTimers() {
-  const data = await chrome.storage.local.get(ACTIVE_TIMERS_KEY);
-  return data[ACTIVE_TIMERS_KEY] || {};
+
+/**
+ * Asks the content script for the item's ID, title, channel and URL
+ * (see getItemInfo() in the site adapters).
+ * @returns {Promise<object>}
+ */
+function requestItemInfo(tabId) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(
+      tabId,
+      { action: "requestItemInfo" },
+      (response) => {
+        if (chrome.runtime.lastError) return reject(chrome.runtime.lastError);
+        resolve(response || {});
+      }
+    );
+  });
+}
+
+/**
+ * Like requestItemInfo(), but falls back to the tab's URL and title
+ * when the content script can't answer.
+ */
+async function getItemInfoSafe(tabId) {
+  try {
+    return await requestItemInfo(tabId);
+  } catch (err) {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    return {
+      site: getSiteAdapter(tab?.url)?.id || null,
+      itemId: getItemIdFromUrl(tab?.url),
+      title: tab?.title || "",
+      channel: "",
+      channelId: "",
+      url: tab?.url || "",
+    };
+  }
 }
 
-async function saveActiveTimers(timers) {
-  await chrome.storage.local.set({ [ACTIVE_TIMERS_KEY]: timers });
+/**
+ * Today's "YYYY-MM-DD" key, by the user's day start hour (see shared.js).
+ * @param {number} [now] - Epoch ms.
+ */
+function getTodayKey(now = Date.now()) {
+  return getDateKey(new Date(now), userSettings.dayStartHour);
 }
 
-async function pauseTimer(tabId) {
-  const activeTimers = await getActiveTimers();
-  const timerData = activeTimers[tabId];
-  if (timerData && timerData.startTime) {
-    timerData.totalTimeMs += Date.now() - timerData.startTime;
-    timerData.startTime = null;
-    await saveActiveTimers(activeTimers);
-    console.log(`Paused timer for tab ${tabId} (Inactive Tab)`);
+/**
+ * When today started, by the user's day start hour.
+ * @returns {Date}
+ */
+function getTodayStart() {
+  return getDayStart(new Date(), userSettings.dayStartHour);
+}
+
+/**
+ * Builds a watch history entry for a timer that is being closed off.
+ */
+function buildHistoryEntry(timerData, endTime) {
+  const item = timerData.item || {};
+  return {
+    site: item.site || null,
+    itemId: item.itemId || null,
+    title: item.title || "",
+    channel: item.channel || "",
+    channelId: item.channelId || "",
+    url: item.url || "",
+    category: timerData.category,
+    source: timerData.source || "user",
+    rule: timerData.rule || null,
+    startTime: timerData.startedAt || endTime - timerData.totalTimeMs,
+    endTime: endTime,
+    durationMs: timerData.totalTimeMs,
+  };
+}
+
+/**
+ * Adds a finished (part of a) timer to a day: the category total, the
+ * Shorts usage and the watch history. Only called inside updateTimers(),
+ * which also keeps these updates of the day's records from racing.
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @param {object} timerData - With `totalTimeMs` already up to date.
+ * @param {number} [endTime] - Epoch ms, when this part ended.
+ */
+async function recordTimerTime(dateKey, timerData, endTime = Date.now()) {
+  const category = timerData.category;
+  const data = await chrome.storage.local.get([dateKey, SHORTS_USAGE_KEY]);
+  const dayStats = data[dateKey] || {};
+  dayStats[category] = (dayStats[category] || 0) + timerData.totalTimeMs;
+  const updates = { [dateKey]: dayStats };
+
+  if (timerData.shorts) {
+    const shortsUsage = data[SHORTS_USAGE_KEY] || {};
+    shortsUsage[dateKey] = (shortsUsage[dateKey] || 0) + timerData.totalTimeMs;
+    updates[SHORTS_USAGE_KEY] = shortsUsage;
   }
+
+  await chrome.storage.local.set(updates);
+  await appendHistoryEntry(dateKey, buildHistoryEntry(timerData, endTime));
 }
 
-async function pauseAllTimers(exceptTabId = null) {
-  const activeTimers = await getActiveTimers();
-  let wasModified = false;
-  for (const tabIdStr in activeTimers) {
-    const tabId = parseInt(tabIdStr);
-    if (tabId === exceptTabId) continue;
-    const timerData = activeTimers[tabId];
-    if (timerData && timerData.startTime) {
-      timerData.totalTimeMs += Date.now() - timerData.startTime;
-      timerData.startTime = null;
-      wasModified = true;
+/**
+ * Records the time of timers that belongs to past days.
+ * @param {TimerPart[]} parts - From accrueTiming() (see timers.js).
+ */
+async function recordTimerParts(parts) {
+  for (const part of parts) {
+    await recordTimerTime(part.dateKey, part.timer, part.endTime);
+  }
+}
+
+/**
+ * Pauses a timer (see pauseTiming()), recording the time of past days.
+ * Only for use inside updateTimers().
+ */
+async function pauseAndRecord(timer) {
+  await recordTimerParts(
+    pauseTiming(timer, Date.now(), userSettings.dayStartHour)
+  );
+}
+
+/**
+ * The time a timer counts for today, including the running part.
+ * @returns {number} Milliseconds.
+ */
+function getLiveTimerMs(timer) {
+  return getTimerMsToday(timer, Date.now(), userSettings.dayStartHour);
+}
+
+/**
+ * Why a timer may not run, or null if it may: a focus session doesn't allow
+ * its category (see focus.js), its category's schedule doesn't allow it
+ * right now (see schedule.js), it is over one of its
+ * budgets (daily, weekly, rolling 7-day) by the hard block step of its
+ * intervention ladder (see interventions.js) or, for Shorts counted against
+ * a category, the Shorts limit is used up.
+ * @param {{category: string, shorts?: boolean}} timer
+ * @returns {Promise<string|null>} The reason shown on the block overlay.
+ */
+async function getLimitReason(timer) {
+  await ensureSettingsLoaded();
+  const budgets = (await getBudgetUsage())[timer.category] || {};
+  // A focus session can't be overridden, only ended from the popup
+  const focusReason = await getFocusBlockReason(timer.category);
+  if (focusReason) return focusReason;
+
+  // A "five more minutes" override lifts every other block of the category
+  if (await getActiveOverride(timer.category)) return null;
+
+  const category = userSettings.categories.find((c) => c.id === timer.category);
+  const scheduleReason = category && getScheduleBlockReason(category);
+  if (scheduleReason) return scheduleReason;
+
+  // A deleted category has no budgets left, only the Shorts limit applies
+  const blockAt = category ? getInterventions(category).block / 100 : 1;
+  for (const period of BUDGET_PERIODS) {
+    const budget = budgets[period.id];
+    if (budget && budget.usedMs >= budget.limitMs * blockAt) {
+      return `${period.label} limit of ${
+        budget.limitMs / MIN_TO_MS
+      } min reached for ${category.name}.`;
+    }
+  }
+  if (timer.shorts) {
+    const shortsLimit = userSettings.shorts.limit * MIN_TO_MS;
+    if ((await getTodaysShortsTime()) >= shortsLimit) {
+      return `Daily Shorts limit of ${userSettings.shorts.limit} min reached.`;
     }
   }
-  if (wasModified) await saveActiveTimers(activeTimers);
+  return null;
 }
 
-async function resumeTimer(tabId) {
+/**
+ * Time used and allowed per category for each budget period it has a
+ * limit for, including the time of running timers.
+ * @returns {Promise<Object<string, Object<string, {usedMs: number, limitMs: number}>>>}
+ *   e.g. `{ interesting: { daily: {...}, weekly: {...} } }`
+ */
+async function getBudgetUsage() {
+  await ensureSettingsLoaded();
+  const dateKeys = {};
+  BUDGET_PERIODS.forEach(
+    (p) =>
+      (dateKeys[p.id] = getPeriodDateKeys(
+        p.id,
+        new Date(),
+        userSettings.dayStartHour
+      ))
+  );
+  const data = await chrome.storage.local.get([
+    ...new Set(Object.values(dateKeys).flat()),
+  ]);
+  // Time watched on the user's other devices counts as well
+  const remote = await getRemoteStatsCached();
+  for (const dateKey in remote) {
+    data[dateKey] = addStats(data[dateKey], remote[dateKey]);
+  }
+
+  // Running timers count towards today, so towards every period
+  const liveMs = {};
   const activeTimers = await getActiveTimers();
-  const timerData = activeTimers[tabId];
-  if (timerData && timerData.startTime === null) {
-    await ensureSettingsLoaded();
-    const totalStats = await getTodaysTotalStats();
-    if (
-      totalStats[timerData.category] >=
-      userSettings.limitsInMs[timerData.category]
-    ) {
-      chrome.tabs.sendMessage(tabId, { action: "blockVideo" });
-      return;
+  for (const tabId in activeTimers) {
+    const timer = activeTimers[tabId];
+    liveMs[timer.category] =
+      (liveMs[timer.category] || 0) + getLiveTimerMs(timer);
+  }
+
+  const usage = {};
+  for (const category of userSettings.categories) {
+    usage[category.id] = {};
+    for (const period of BUDGET_PERIODS) {
+      // Weekends may have their own daily limit
+      const limit =
+        period.id === "daily"
+          ? getDailyLimit(category, getTodayStart())
+          : category[period.field];
+      if (limit === null || limit === undefined) continue;
+      const savedMs = dateKeys[period.id].reduce(
+        (sum, key) => sum + ((data[key] || {})[category.id] || 0),
+        0
+      );
+      usage[category.id][period.id] = {
+        usedMs: savedMs + (liveMs[category.id] || 0),
+        limitMs: limit * MIN_TO_MS,
+      };
     }
-    timerData.startTime = Date.now();
-    await saveActiveTimers(activeTimers);
-    console.log(`Resumed timer for tab ${tabId} (Tab Activated)`);
   }
+  return usage;
 }
 
-async function stopTimerAndSave(tabId) {
-  const activeTimers = await getActiveTimers();
-  const timerData = activeTimers[tabId];
-  if (!timerData) return;
-
-  if (timerData.startTime) {
-    timerData.totalTimeMs += Date.now() - timerData.startTime;
-  }
-
-  if (timerData.totalTimeMs > 0) {
-    const category = timerData.category;
-    const today = new Date().toISOString().split("T")[0];
-    const storageData = await chrome.storage.local.get(today);
-    const todaysStats = storageData[today] || {
-      trash: 0,
-      interesting: 0,
-      curriculum: 0,
-      phd: 0,
-    };
-    todaysStats[category] += timerData.totalTimeMs;
-    await chrome.storage.local.set({ [today]: todaysStats });
+async function pauseTimer(tabId) {
+  await updateTimers(async (timers) => {
+    const timer = timers[tabId];
+    if (!timer || !timer.startTime) return;
+    await pauseAndRecord(timer);
+    console.log(`Paused timer for tab ${tabId}`);
+  });
+}
+
+async function resumeTimer(tabId) {
+  const timer = await getTimer(tabId);
+  if (!timer || timer.startTime) return;
+  const limitReason = await getLimitReason(timer);
+  if (limitReason) {
+    await blockTab(tabId, limitReason);
+    return;
   }
+  await updateTimers((timers) => {
+    // The tab may have been closed while the limits were checked
+    if (timers[tabId] && resumeTiming(timers[tabId])) {
+      console.log(`Resumed timer for tab ${tabId}`);
+    }
+  });
+}
+
+/**
+ * Marks a tab's timer as blocked (pausing it) or not, so the alarm knows
+ * which blocks to lift once the schedule or a limit allows it again.
+ * @param {number} tabId
+ * @param {boolean} blocked
+ */
+async function setTabBlocked(tabId, blocked) {
+  await updateTimers(async (timers) => {
+    const timer = timers[tabId];
+    if (!timer) return;
+    if (blocked) await pauseAndRecord(timer);
+    timer.blocked = blocked;
+  });
+}
+
+/**
+ * Pauses a tab's timer and shows the block overlay with the reason.
+ */
+async function blockTab(tabId, reason) {
+  await setTabBlocked(tabId, true);
+  chrome.tabs.sendMessage(tabId, {
+    action: "blockVideo",
+    reason: reason,
+    overridable: await isOverridable(await getTimer(tabId)),
+  });
+}
+
+async function stopTimerAndSave(tabId) {
+  await updateTimers(async (timers) => {
+    const timer = timers[tabId];
+    if (!timer) return;
+
+    await pauseAndRecord(timer);
+    if (timer.totalTimeMs > 0) {
+      await recordTimerTime(getTodayKey(), timer);
+    }
+    delete timers[tabId];
+  });
+}
 
-  delete activeTimers[tabId];
-  await saveActiveTimers(activeTimers);
+/**
+ * Drops a tab's own badge text, so it shows the global one again (the
+ * focus session countdown, if any).
+ */
+function clearTabBadge(tabId) {
+  chrome.action.setBadgeText({ tabId: tabId, text: null });
 }
 
+/**
+ * Today's time per category, on this device and the user's other devices
+ * (see sync.js).
+ * @returns {Promise<Object<string, number>>}
+ */
 async function getTodaysTotalStats() {
-  const today = new Date().toISOString().split("T")[0];
+  const remote = await getRemoteStatsCached();
+  return addStats(await getDeviceTodayStats(), remote[getTodayKey()]);
+}
+
+/**
+ * Today's time per category on this device, running timers included.
+ * @returns {Promise<Object<string, number>>}
+ */
+async function getDeviceTodayStats() {
+  await ensureSettingsLoaded();
+  const today = getTodayKey();
   const storageData = await chrome.storage.local.get(today);
-  const savedStats = storageData[today] || {
-    trash: 0,
-    interesting: 0,
-    curriculum: 0,
-    phd: 0,
-  };
+  const savedStats = storageData[today] || {};
   const activeTimers = await getActiveTimers();
-  const liveStats = { trash: 0, interesting: 0, curriculum: 0, phd: 0 };
+
+  // Start from every known category so the popup always has a value to show,
+  // then add saved records (including categories deleted since) and live time.
+  const totalStats = createEmptyStats(userSettings.categories);
+  for (const category in savedStats) {
+    totalStats[category] = (totalStats[category] || 0) + savedStats[category];
+  }
 
   for (const tabId in activeTimers) {
     const timer = activeTimers[tabId];
-    let currentTotalMs = timer.totalTimeMs;
-    if (timer.startTime) currentTotalMs += Date.now() - timer.startTime;
-    liveStats[timer.category] += currentTotalMs;
+    totalStats[timer.category] =
+      (totalStats[timer.category] || 0) + getLiveTimerMs(timer);
   }
+  return totalStats;
+}
 
-  const totalStats = { trash: 0, interesting: 0, curriculum: 0, phd: 0 };
-  for (const category in savedStats) {
-    totalStats[category] = savedStats[category] + liveStats[category];
+// --- ADVANCE WARNINGS ---
+// Notifications at the user's thresholds, and the countdown the content
+// script shows during the last minutes. The content script also re-runs its
+// handshake the moment the countdown ends, so blocks land on time instead of
+// at the next one-minute alarm.
+
+/**
+ * How long a timer can keep running before a limit blocks it.
+ * @param {object} timer
+ * @returns {Promise<number|null>} Milliseconds, or null if no limit applies.
+ */
+async function getRemainingMs(timer) {
+  await ensureSettingsLoaded();
+  const override = await getActiveOverride(timer.category);
+  if (override) return Math.max(0, override.expiresAt - Date.now());
+
+  const budgets = (await getBudgetUsage())[timer.category] || {};
+  const category = userSettings.categories.find((c) => c.id === timer.category);
+  const blockAt = category ? getInterventions(category).block / 100 : 1;
+  const remaining = Object.values(budgets).map(
+    (b) => b.limitMs * blockAt - b.usedMs
+  );
+  if (timer.shorts) {
+    const shortsLimit = userSettings.shorts.limit * MIN_TO_MS;
+    remaining.push(shortsLimit - (await getTodaysShortsTime()));
   }
-  return totalStats;
+  return remaining.length ? Math.max(0, Math.min(...remaining)) : null;
+}
+
+/**
+ * What the content script needs for the countdown badge and fade-out.
+ * @returns {Promise<{remainingMs: number, showBelowMs: number, fadeOut: boolean}|null>}
+ */
+async function getCountdown(timer) {
+  const remainingMs = await getRemainingMs(timer);
+  if (remainingMs === null) return null;
+  return {
+    remainingMs,
+    showBelowMs: userSettings.warnings.countdownMinutes * MIN_TO_MS,
+    fadeOut: userSettings.warnings.fadeOut,
+  };
+}
+
+/**
+ * Sends the "X% used" and "N minutes left" notifications for a running
+ * timer's budgets, each at most once per day. Both count towards the hard
+ * block, which the intervention ladder may put past the limit.
+ */
+async function checkLimitWarnings(timer) {
+  await ensureSettingsLoaded();
+  const { percent, minutesLeft } = userSettings.warnings;
+  const category = userSettings.categories.find((c) => c.id === timer.category);
+  if (!category || (await getActiveOverride(timer.category))) return;
+
+  const budgets = (await getBudgetUsage())[timer.category] || {};
+  const blockAt = getInterventions(category).block / 100;
+  for (const period of BUDGET_PERIODS) {
+    const budget = budgets[period.id];
+    const blockMs = budget && budget.limitMs * blockAt;
+    if (!budget || budget.usedMs >= blockMs) continue;
+    const leftMins = Math.ceil((blockMs - budget.usedMs) / MIN_TO_MS);
+    const name = `${category.emoji || ""} ${category.name}`.trim();
+    const periodName = period.label.toLowerCase();
+
+    if (minutesLeft && blockMs - budget.usedMs <= minutesLeft * MIN_TO_MS) {
+      await notifyOnce(
+        `${category.id}:${period.id}:left`,
+        `${name}: ${leftMins} min left`,
+        `Your ${periodName} limit is almost used up.`
+      );
+    } else if (percent && budget.usedMs >= (blockMs * percent) / 100) {
+      await notifyOnce(
+        `${category.id}:${period.id}:percent`,
+        `${name}: ${percent}% used`,
+        `${leftMins} min left of your ${periodName} limit.`
+      );
+    }
+  }
+}
+
+/**
+ * Shows a system notification, unless the same warning was sent today.
+ * @param {string} key - Identifies the warning.
+ */
+async function notifyOnce(key, title, message) {
+  const today = getTodayKey();
+  const data = await chrome.storage.local.get(LIMIT_WARNINGS_KEY);
+  let warnings = data[LIMIT_WARNINGS_KEY];
+  if (!warnings || warnings.date !== today)
+    warnings = { date: today, sent: [] };
+  if (warnings.sent.includes(key)) return;
+
+  warnings.sent.push(key);
+  await chrome.storage.local.set({ [LIMIT_WARNINGS_KEY]: warnings });
+  chrome.notifications.create(`focusme-${key}`, {
+    type: "basic",
+    iconUrl: "icons/icon128.png",
+    title: title,
+    message: message,
+  });
+  console.log(`🔔 ${title}`);
+}
+
+// --- INTERVENTIONS ---
+
+/**
+ * The steps of its category's intervention ladder a timer has reached,
+ * short of the hard block (see interventions.js), for the content script
+ * to apply, with a line explaining them.
+ * @returns {Promise<{steps: string[], message: string}|null>} null if no
+ *   step is reached, or an override lifted them.
+ */
+async function getIntervention(timer) {
+  await ensureSettingsLoaded();
+  const category = userSettings.categories.find((c) => c.id === timer.category);
+  if (!category || (await getActiveOverride(timer.category))) return null;
+
+  const budget = getTightestBudget(
+    (await getBudgetUsage())[timer.category] || {}
+  );
+  if (!budget) return null;
+  const steps = getReachedInterventions(category, budget.percent).filter(
+    (step) => step.id !== "block"
+  );
+  if (!steps.length) return null;
+
+  const strongest = steps[steps.length - 1];
+  const period = BUDGET_PERIODS.find((p) => p.id === budget.periodId);
+  const blockAtMs = (budget.limitMs * getInterventions(category).block) / 100;
+  const blockInMins = Math.ceil(
+    Math.max(0, blockAtMs - budget.usedMs) / MIN_TO_MS
+  );
+  return {
+    steps: steps.map((step) => step.id),
+    message:
+      `${strongest.icon} ${Math.round(budget.percent)}% of your ` +
+      `${period.label.toLowerCase()} ${category.name} budget used. ` +
+      `${strongest.description} Blocked in ${blockInMins} min.`,
+  };
+}
+
+// --- GOALS ---
+
+/**
+ * After the user's reminder time, notifies once a day about every goal of
+ * today that isn't reached yet (see getDailyGoal() in schedule.js).
+ */
+async function checkGoalReminders() {
+  if (!userSettings.goalReminderTime) return;
+  const todayStart = getTodayStart();
+  const remindAt = new Date(todayStart);
+  remindAt.setHours(0, parseTimeOfDay(userSettings.goalReminderTime), 0, 0);
+  // A reminder time before the day start hour is on the next calendar day
+  if (remindAt < todayStart) remindAt.setDate(remindAt.getDate() + 1);
+  if (Date.now() < remindAt.getTime()) return;
+
+  const totalStats = await getTodaysTotalStats();
+  for (const category of userSettings.categories) {
+    const goal = getDailyGoal(category, todayStart);
+    const doneMins = (totalStats[category.id] || 0) / MIN_TO_MS;
+    if (goal === null || doneMins >= goal) continue;
+    const name = `${category.emoji || ""} ${category.name}`.trim();
+    await notifyOnce(
+      `${category.id}:goal`,
+      `${name}: ${Math.ceil(goal - doneMins)} min to your goal`,
+      `You've done ${Math.floor(doneMins)} of your ${goal} min today.`
+    );
+  }
+}
+
+// --- OVERRIDES ---
+// The block overlay can ask for a few more minutes, see overrides.js.
+const OVERRIDE_MIN_REASON_LENGTH = 15;
+
+/**
+ * What the overlay needs to show the override form.
+ * @returns {Promise<{minutes: number, waitSeconds: number, remaining: number, minReasonLength: number}>}
+ */
+async function getOverrideStatus() {
+  await ensureSettingsLoaded();
+  const { minutes, waitSeconds, dailyCap } = userSettings.overrides;
+  const usedToday = (
+    await getOverridesForDay(getTodayKey(), userSettings.dayStartHour)
+  ).length;
+  return {
+    minutes,
+    waitSeconds,
+    remaining: Math.max(0, dailyCap - usedToday),
+    minReasonLength: OVERRIDE_MIN_REASON_LENGTH,
+  };
+}
+
+/**
+ * Whether the block of a timer's tab may be lifted by an override, i.e.
+ * whether the overlay offers "five more minutes". Focus sessions may not.
+ * @param {{category: string}} [timer]
+ * @returns {Promise<boolean>}
+ */
+async function isOverridable(timer) {
+  return !!timer && !(await getFocusBlockReason(timer.category));
+}
+
+/**
+ * Starts the wait before an override of a tab: the overlay's form counts it
+ * down, and grantOverride() checks it has passed.
+ */
+async function markOverrideFormOpened(tabId) {
+  await updateTimers((timers) => {
+    if (timers[tabId]) timers[tabId].overrideFormAt = Date.now();
+  });
 }
 
-// --- ALARM & MIDNIGHT RESET ---
+/**
+ * Lifts the block of a tab's category for a few minutes, if the override
+ * form was opened at least `waitSeconds` ago, the reason is long enough
+ * and the daily cap isn't reached. Logs the override.
+ * @param {number} tabId
+ * @param {string} reason - The user's justification.
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function grantOverride(tabId, reason) {
+  const timer = await getTimer(tabId);
+  if (!timer) return { success: false, error: "This page isn't timed." };
+
+  const blockReason = await getLimitReason(timer);
+  if (!blockReason) return { success: true }; // Nothing to lift any more
+  if (!(await isOverridable(timer))) {
+    return {
+      success: false,
+      error: "A focus session can't be overridden, end it from the popup.",
+    };
+  }
+
+  reason = (reason || "").trim();
+  if (reason.length < OVERRIDE_MIN_REASON_LENGTH) {
+    return { success: false, error: "Please explain a bit more." };
+  }
+  const { remaining, minutes, waitSeconds } = await getOverrideStatus();
+  if (!remaining) return { success: false, error: "No overrides left today." };
+  const openedAt = timer.overrideFormAt;
+  if (!openedAt || Date.now() - openedAt < waitSeconds * 1000) {
+    return { success: false, error: "Please wait until the countdown ends." };
+  }
+
+  await addOverride({
+    category: timer.category,
+    reason: reason,
+    blockReason: blockReason,
+    title: timer.item?.title || "",
+    url: timer.item?.url || "",
+    minutes: minutes,
+  });
+  console.log(`⏳ Override granted for "${timer.category}": ${reason}`);
+
+  await updateTimers((timers) => {
+    if (timers[tabId]) delete timers[tabId].overrideFormAt;
+  });
+  await setTabBlocked(tabId, false);
+  await syncTimers();
+  return { success: true };
+}
+
+// --- CHANNEL LISTS ---
+// Videos of a category's listed channels skip the AI (see categorizeItem()),
+// and those of blocked channels are blocked without being timed.
+
+/**
+ * @param {object} item - Item info (see getItemInfo() in sites/).
+ * @returns {string|null} The reason shown on the block overlay, or null if
+ *   the item's channel isn't blocked.
+ */
+function getChannelBlockReason(item) {
+  if (!isChannelBlocked(userSettings.blockedChannels, item)) return null;
+  return `${item.channel || item.channelId} is on your blocked channels list.`;
+}
+
+/**
+ * Shows the block overlay without a "five more minutes" button: blocked
+ * channels are blocked for good.
+ */
+async function blockChannelTab(tabId, reason) {
+  console.log(`⛔ Blocking tab ${tabId}: ${reason}`);
+  clearTabBadge(tabId);
+  await chrome.tabs
+    .sendMessage(tabId, { action: "blockVideo", reason: reason })
+    .catch(() => {}); // Not injected yet, the handshake will block it
+}
+
+/**
+ * Puts the channel of a tab's item on a list and applies it to the tab
+ * right away: blocks it, or (re)starts its timer in the listed category.
+ * @param {number} tabId
+ * @param {string|null} target - See setChannelList() in rules.js.
+ * @returns {Promise<{success: boolean, blocked?: boolean, error?: string}>}
+ */
+async function setTabChannelList(tabId, target) {
+  const item = (await getTimer(tabId))?.item || (await getItemInfoSafe(tabId));
+  if (!item.channel && !item.channelId) {
+    return { success: false, error: "This page has no channel." };
+  }
+  const settings = await getUserSettings();
+  setChannelList(settings, item, target);
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  await loadSettings();
+  console.log(`📺 Channel "${item.channel}" listed as ${target}`);
+
+  if (target === CHANNEL_BLOCK_TARGET) {
+    await stopTimerAndSave(tabId);
+    await blockChannelTab(tabId, getChannelBlockReason(item));
+    return { success: true, blocked: true };
+  }
+  if (!target) return { success: true };
+  if (await getTimer(tabId)) return recategorizeTab(tabId, target);
+
+  const result = await attemptStartTimer(tabId, target, {
+    source: "channel",
+    item,
+  });
+  // The page may still show the overlay of a channel that was blocked
+  if (!result.blocked) {
+    chrome.tabs.sendMessage(tabId, { action: "unblockVideo" }).catch(() => {});
+  }
+  return result;
+}
+
+// --- DISTRACTION SURFACES ---
+
+/**
+ * The DISTRACTION_SURFACES (see shared.js) to hide right now: the ones set
+ * to "hide", plus the "auto" ones once today's time in the chosen category
+ * has passed the threshold.
+ * @returns {Promise<string[]>} Surface ids.
+ */
+async function getHiddenSurfaces() {
+  await ensureSettingsLoaded();
+  const { modes, autoCategory, autoMinutes } = userSettings.surfaces;
+  const ids = Object.keys(modes);
+  let autoHidden = false;
+  if (ids.some((id) => modes[id] === "auto")) {
+    const totalStats = await getTodaysTotalStats();
+    autoHidden = (totalStats[autoCategory] || 0) >= autoMinutes * MIN_TO_MS;
+  }
+  return ids.filter(
+    (id) => modes[id] === "hide" || (modes[id] === "auto" && autoHidden)
+  );
+}
+
+// --- FOCUS SESSIONS ---
+// Started and ended from the popup, see focus.js. One alarm fires at the end
+// of each phase, another every minute from the start for the badge
+// countdown, so the minutes shown stay in step with the phases.
+const FOCUS_PHASE_ALARM = "focusPhase";
+const FOCUS_BADGE_ALARM = "focusBadge";
+const FOCUS_BADGE_COLORS = { focus: "#0d6efd", break: "#789f04" };
+
+/**
+ * @param {string} categoryId
+ * @returns {Promise<string|null>} The reason shown on the block overlay, or
+ *   null if no focus round is running or it allows the category.
+ */
+async function getFocusBlockReason(categoryId) {
+  const session = await getFocusSession();
+  if (!session || session.phase !== "focus") return null;
+  if (session.categories.includes(categoryId)) return null;
+
+  const names = session.categories.map((id) => {
+    const cat = userSettings.categories.find((c) => c.id === id);
+    return cat ? `${cat.emoji || ""} ${cat.name}`.trim() : id;
+  });
+  const until = new Date(session.phaseEndsAt).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+  return `🎯 Focus session: only ${names.join(", ")} until ${until}.`;
+}
+
+/**
+ * Starts a focus session and blocks the open tabs it doesn't allow. The
+ * choices are kept as the popup's defaults for the next one.
+ * @param {{categories: string[], focusMinutes: number, breakMinutes: number, rounds: number}} options
+ * @returns {Promise<{success: boolean, session?: object, error?: string}>}
+ */
+async function startFocusSession(options) {
+  await ensureSettingsLoaded();
+  if (await getFocusSession()) {
+    return { success: false, error: "A focus session is already running." };
+  }
+  const known = userSettings.categories.map((c) => c.id);
+  const choices = {
+    categories: (options.categories || []).filter((id) => known.includes(id)),
+    focusMinutes: Math.round(options.focusMinutes),
+    breakMinutes: Math.max(0, Math.round(options.breakMinutes) || 0),
+    rounds: Math.max(1, Math.round(options.rounds) || 1),
+  };
+  if (!choices.categories.length) {
+    return { success: false, error: "Pick at least one category." };
+  }
+  if (!(choices.focusMinutes > 0)) {
+    return { success: false, error: "Pick a duration." };
+  }
+
+  const settings = await getUserSettings();
+  settings.focus = choices;
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+
+  const session = createFocusSession(choices);
+  await chrome.storage.local.set({ [FOCUS_SESSION_KEY]: session });
+  chrome.alarms.create(FOCUS_PHASE_ALARM, { when: session.phaseEndsAt });
+  chrome.alarms.create(FOCUS_BADGE_ALARM, {
+    when: session.startedAt + MIN_TO_MS,
+    periodInMinutes: 1,
+  });
+  console.log(`🎯 Focus session started: ${choices.categories.join(", ")}`);
+  await updateFocusBadge();
+  await proactivelyCheckLimits();
+  return { success: true, session };
+}
+
+/**
+ * Ends the running session, logs it and lifts its blocks.
+ * @param {"completed"|"abandoned"} status
+ */
+async function endFocusSession(status) {
+  const session = await getFocusSession();
+  if (!session) return;
+  const entry = await logFocusSession(session, status);
+  await chrome.storage.local.remove(FOCUS_SESSION_KEY);
+  chrome.alarms.clear(FOCUS_PHASE_ALARM);
+  chrome.alarms.clear(FOCUS_BADGE_ALARM);
+  await updateFocusBadge();
+  console.log(`🎯 Focus session ${status}`);
+
+  const focusedMins = Math.round(entry.focusedMs / MIN_TO_MS);
+  if (status === "completed") {
+    chrome.notifications.create(`focusme-focus-${session.id}`, {
+      type: "basic",
+      iconUrl: "icons/icon128.png",
+      title: "🎯 Focus session complete",
+      message: `Well done: ${focusedMins} min of focus. Your usual limits apply again.`,
+    });
+  }
+  await proactivelyCheckLimits();
+}
+
+/**
+ * Moves the running session on when a phase ends: into a break, into the
+ * next round, or to its end. Phases missed while the browser was closed are
+ * skipped over.
+ */
+async function advanceFocusSession() {
+  let session = await getFocusSession();
+  if (!session || session.phaseEndsAt > Date.now()) return;
+  const previousPhase = session.phase;
+  let next = session;
+  while (next && next.phaseEndsAt <= Date.now()) {
+    session = next;
+    next = getNextFocusPhase(session);
+  }
+  if (!next) {
+    // Logged as of its last focus round
+    await chrome.storage.local.set({ [FOCUS_SESSION_KEY]: session });
+    await endFocusSession("completed");
+    return;
+  }
+  session = next;
+
+  await chrome.storage.local.set({ [FOCUS_SESSION_KEY]: session });
+  chrome.alarms.create(FOCUS_PHASE_ALARM, { when: session.phaseEndsAt });
+  await updateFocusBadge();
+  if (session.phase !== previousPhase) {
+    chrome.notifications.create(`focusme-focus-${session.id}`, {
+      type: "basic",
+      iconUrl: "icons/icon128.png",
+      title:
+        session.phase === "break"
+          ? `☕ Break time: ${session.breakMinutes} min`
+          : `🎯 Back to focus: round ${session.round} of ${session.rounds}`,
+      message:
+        session.phase === "break"
+          ? "Your usual limits apply until the break is over."
+          : `${session.focusMinutes} min of focus start now.`,
+    });
+  }
+  await proactivelyCheckLimits();
+}
+
+/**
+ * Shows the minutes left in the current phase on the extension icon, or
+ * clears the badge when no session is running.
+ */
+async function updateFocusBadge() {
+  const session = await getFocusSession();
+  if (!session) {
+    chrome.action.setBadgeText({ text: "" });
+    return;
+  }
+  const minsLeft = Math.ceil(
+    Math.max(0, session.phaseEndsAt - Date.now()) / MIN_TO_MS
+  );
+  chrome.action.setBadgeText({ text: `${minsLeft}m` });
+  chrome.action.setBadgeBackgroundColor({
+    color: FOCUS_BADGE_COLORS[session.phase],
+  });
+}
+
+// --- SYNC ---
+// Settings and daily totals are shared with the user's other devices, see
+// sync.js. The other devices' totals are read once, then again only after
+// one of them synced.
+let remoteStats = null;
+
+/**
+ * @returns {Promise<Object<string, Object<string, number>>>} See
+ *   getRemoteStats() in sync.js.
+ */
+async function getRemoteStatsCached() {
+  if (!remoteStats) remoteStats = await getRemoteStats();
+  return remoteStats;
+}
+
+/**
+ * Shares this device's totals of the synced days, today's with the time
+ * of the running timers.
+ */
+async function syncStats() {
+  await ensureSettingsLoaded();
+  const dateKeys = getSyncedDateKeys(new Date(), userSettings.dayStartHour);
+  const data = await chrome.storage.local.get(dateKeys);
+  const days = {};
+  dateKeys.forEach((dateKey) => {
+    if (data[dateKey]) days[dateKey] = data[dateKey];
+  });
+  days[dateKeys[0]] = await getDeviceTodayStats();
+  await syncDeviceStats(days);
+}
+
+// --- YOUTUBE SHORTS ---
+const SHORTS_BLOCKED_REASON = "YouTube Shorts are blocked.";
+
+/**
+ * Applies the user's Shorts policy when a tab opens a /shorts/ID page.
+ * Swiping to the next Short changes the URL, so every Short gets its own
+ * timer and history entry.
+ */
+async function handleShortsNavigation(tabId, url) {
+  await ensureSettingsLoaded();
+  await stopTimerAndSave(tabId);
+
+  const { mode, category } = userSettings.shorts;
+  if (mode === "redirect") {
+    const watchUrl = `https://www.youtube.com/watch?v=${YOUTUBE_SITE.getShortsId(
+      url
+    )}`;
+    console.log(`Redirecting Short to ${watchUrl}`);
+    chrome.tabs.update(tabId, { url: watchUrl });
+  } else if (mode === "block") {
+    chrome.tabs
+      .sendMessage(tabId, {
+        action: "blockVideo",
+        reason: SHORTS_BLOCKED_REASON,
+      })
+      .catch(() => {}); // Not injected yet, the handshake will block it
+  } else if (mode === "count") {
+    // Give the page a moment to update its title, like tryAutoCategorize
+    await new Promise((r) => setTimeout(r, 1500));
+    await attemptStartTimer(tabId, category, {
+      source: "shorts",
+      shorts: true,
+    });
+  }
+}
+
+/**
+ * Shorts time watched today, including Shorts playing right now.
+ * @returns {Promise<number>} Milliseconds.
+ */
+async function getTodaysShortsTime() {
+  const data = await chrome.storage.local.get(SHORTS_USAGE_KEY);
+  let total = (data[SHORTS_USAGE_KEY] || {})[getTodayKey()] || 0;
+
+  const activeTimers = await getActiveTimers();
+  for (const tabId in activeTimers) {
+    const timer = activeTimers[tabId];
+    if (!timer.shorts) continue;
+    total += getLiveTimerMs(timer);
+  }
+  return total;
+}
+
+// --- ALARM & DAY RESET ---
 chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === "checkLimits") {
     (async () => {
       await ensureSettingsLoaded();
       await handleNewDayCheck();
-      proactivelyCheckLimits();
+      await proactivelyCheckLimits();
+      // The AI may be slow, the checks below don't wait for it
+      writeJournalForYesterday();
+      checkGoalReminders();
+      // Also retries what couldn't be synced before
+      await syncSettings();
+      await syncStats();
+    })();
+  } else if (alarm.name === FOCUS_PHASE_ALARM) {
+    (async () => {
+      await ensureSettingsLoaded();
+      await advanceFocusSession();
     })();
+  } else if (alarm.name === FOCUS_BADGE_ALARM) {
+    updateFocusBadge();
   }
 });
 
+let historyPrunedOn = null; // The day the old watch history was last dropped
+
+/**
+ * Closes off the previous day for timers that were open when the day
+ * started (their time up to the day start goes to the old day), and drops
+ * the watch history that is past its retention once a day.
+ */
 async function handleNewDayCheck() {
-  const today = new Date().toISOString().split("T")[0];
-  const data = await chrome.storage.local.get([
-    TODAY_KEY_CHECK,
-    ACTIVE_TIMERS_KEY,
-  ]);
-  const lastRunDate = data[TODAY_KEY_CHECK];
-  const activeTimers = data[ACTIVE_TIMERS_KEY] || {};
-
-  if (lastRunDate !== today) {
-    console.log(`🌞 New Day! Resetting stats.`);
-    if (lastRunDate) {
-      const yesterdayData = await chrome.storage.local.get(lastRunDate);
-      const yesterdayStats = yesterdayData[lastRunDate] || {
-        trash: 0,
-        interesting: 0,
-        curriculum: 0,
-        phd: 0,
-      };
-      let dirty = false;
-      for (const tabId in activeTimers) {
-        if (activeTimers[tabId].totalTimeMs > 0) {
-          yesterdayStats[activeTimers[tabId].category] +=
-            activeTimers[tabId].totalTimeMs;
-          dirty = true;
-        }
-        activeTimers[tabId].totalTimeMs = 0;
-        if (activeTimers[tabId].startTime)
-          activeTimers[tabId].startTime = Date.now();
-      }
-      if (dirty)
-        await chrome.storage.local.set({ [lastRunDate]: yesterdayStats });
-    } else {
-      for (const tabId in activeTimers) activeTimers[tabId].totalTimeMs = 0;
+  await updateTimers(async (timers) => {
+    for (const tabId in timers) {
+      const parts = accrueTiming(
+        timers[tabId],
+        Date.now(),
+        userSettings.dayStartHour
+      );
+      if (!parts.length) continue;
+      console.log(`🌞 New Day! Splitting the timer of tab ${tabId}.`);
+      await recordTimerParts(parts);
     }
-    await chrome.storage.local.set({
-      [TODAY_KEY_CHECK]: today,
-      [ACTIVE_TIMERS_KEY]: activeTimers,
+  });
+  if (historyPrunedOn !== getTodayKey()) {
+    historyPrunedOn = getTodayKey();
+    const removed = await pruneHistory(new Date(), userSettings.dayStartHour);
+    if (removed.length) {
+      console.log(`🧹 Dropped ${removed.length} days of watch history`);
+    }
+  }
+}
+
+// --- JOURNAL ---
+let journalInProgress = false; // The AI may take longer than an alarm period
+
+/**
+ * Writes the reflection questions for the day that just ended (see
+ * journal.js), once, if anything was tracked that day. A failure is stored
+ * as well, so it isn't retried every minute; the Journal tab can retry it.
+ */
+async function writeJournalForYesterday() {
+  if (!userSettings.journal.auto || journalInProgress) return;
+  const yesterday = getDateKey(
+    new Date(getTodayStart().getTime() - 1),
+    userSettings.dayStartHour
+  );
+  if (await getJournalEntry(yesterday)) return;
+  const stats = (await chrome.storage.local.get(yesterday))[yesterday] || {};
+  if (!Object.values(stats).some((ms) => ms > 0)) return;
+
+  journalInProgress = true;
+  try {
+    await generateJournalEntry(yesterday);
+    console.log(`📓 Journal questions written for ${yesterday}`);
+  } catch (err) {
+    console.error("Journal questions failed:", err);
+    await saveJournalEntry({
+      dateKey: yesterday,
+      questions: [],
+      answers: [],
+      createdAt: Date.now(),
+      error: err.message,
     });
+  } finally {
+    journalInProgress = false;
   }
 }
 
+/**
+ * Re-evaluates every open tab: blocks the ones that just went over a limit
+ * or out of their schedule, and lifts the block of the ones whose schedule
+ * window just opened (or a new day started).
+ */
 async function proactivelyCheckLimits() {
-  const totalStats = await getTodaysTotalStats();
   const activeTimers = await getActiveTimers();
-  const limitsInMs = userSettings.limitsInMs;
+  let unblocked = false;
 
   for (const tabIdStr in activeTimers) {
     const tabId = parseInt(tabIdStr);
     const timer = activeTimers[tabId];
-    if (totalStats[timer.category] >= limitsInMs[timer.category]) {
+    const limitReason = await getLimitReason(timer);
+    if (!limitReason && timer.startTime) await checkLimitWarnings(timer);
+    if (limitReason && (timer.startTime || !timer.blocked)) {
       console.log(`Alarm: Blocking tab ${tabId}`);
-      await pauseTimer(tabId);
-      chrome.tabs.sendMessage(tabId, { action: "blockVideo" });
+      await blockTab(tabId, limitReason);
+    } else if (!limitReason && timer.blocked) {
+      console.log(`Alarm: Unblocking tab ${tabId}`);
+      await setTabBlocked(tabId, false);
+      chrome.tabs.sendMessage(tabId, { action: "unblockVideo" });
+      unblocked = true;
     }
   }
+  if (unblocked) await syncTimers();
 }
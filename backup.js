@@ -0,0 +1,342 @@
+// --- BACKUP: EXPORT & IMPORT ---
+// A JSON backup holds everything worth keeping: settings, daily stats,
+// Shorts usage, watch history, AI corrections, the classification cache,
+// the override log, the journal, the watch intentions and the focus session
+// log. Running state (active timers, sent warnings, the focus session under
+// way) is tab- and day-specific, so it is left out, and so are the settings
+// that stay on each device (the AI backend and its API key, see sync.js).
+// Loaded by the settings page, after the modules whose storage keys it uses.
+
+const BACKUP_FORMAT = "focusme-backup";
+const BACKUP_VERSION = 1;
+
+/**
+ * What each kind of backed-up key holds, how to check it and how to merge
+ * an imported value into the current one. `merge` must be idempotent, so
+ * importing the same backup twice changes nothing. Optionally, `exported`
+ * is what goes into the file, and `keepLocal` puts back what an import
+ * must not change on this device.
+ */
+const BACKUP_KINDS = {
+  settings: {
+    label: "Settings",
+    matches: (key) => key === SETTINGS_KEY,
+    validate: (value) =>
+      isPlainObject(value) &&
+      (value.categories === undefined ||
+        (Array.isArray(value.categories) &&
+          value.categories.every(
+            (c) => isPlainObject(c) && typeof c.id === "string" && c.name
+          ))),
+    // Current settings win; categories only found in the backup are added
+    merge: (current, imported) => {
+      const settings = normalizeSettings(current);
+      const known = new Set(settings.categories.map((c) => c.id));
+      normalizeSettings(imported).categories.forEach((cat) => {
+        if (!known.has(cat.id)) settings.categories.push(cat);
+      });
+      return settings;
+    },
+    exported: (value) => withoutLocalSettings(value),
+    keepLocal: (current, imported) => {
+      const settings = { ...imported };
+      LOCAL_ONLY_SETTINGS.forEach((field) => {
+        if (current?.[field] === undefined) delete settings[field];
+        else settings[field] = current[field];
+      });
+      return settings;
+    },
+  },
+  stats: {
+    label: "Daily stats",
+    matches: (key) => DATE_KEY_PATTERN.test(key),
+    validate: (value) => isPlainObject(value) && allNumbers(value),
+    merge: (current, imported) => mergeMax(current, imported),
+  },
+  shortsUsage: {
+    label: "Shorts usage",
+    matches: (key) => key === SHORTS_USAGE_KEY,
+    validate: (value) => isPlainObject(value) && allNumbers(value),
+    merge: (current, imported) => mergeMax(current, imported),
+  },
+  history: {
+    label: "Watch history",
+    matches: (key) => key.startsWith(HISTORY_KEY_PREFIX),
+    validate: (value) =>
+      Array.isArray(value) &&
+      value.every((e) => isPlainObject(e) && typeof e.startTime === "number"),
+    merge: (current, imported) =>
+      mergeLists(current, imported, (e) => `${e.startTime}|${e.url}`).sort(
+        (a, b) => a.startTime - b.startTime
+      ),
+  },
+  corrections: {
+    label: "AI corrections",
+    matches: (key) => key === CORRECTIONS_KEY,
+    validate: (value) =>
+      Array.isArray(value) &&
+      value.every((c) => isPlainObject(c) && typeof c.title === "string"),
+    merge: (current, imported) =>
+      mergeLists(current, imported, (c) => c.title).slice(
+        -MAX_STORED_CORRECTIONS
+      ),
+  },
+  cache: {
+    label: "Classification cache",
+    matches: (key) => key === CLASSIFICATION_CACHE_KEY,
+    validate: (value) =>
+      isPlainObject(value) &&
+      Object.values(value).every(
+        (e) => isPlainObject(e) && typeof e.category === "string"
+      ),
+    // The newer label of an item wins
+    merge: (current, imported) => {
+      const cache = { ...(current || {}) };
+      for (const itemId in imported) {
+        const newer = imported[itemId].cachedAt > cache[itemId]?.cachedAt;
+        if (!cache[itemId] || newer) cache[itemId] = imported[itemId];
+      }
+      return cache;
+    },
+  },
+  journal: {
+    label: "Journal",
+    matches: (key) => key.startsWith(JOURNAL_KEY_PREFIX),
+    validate: (value) =>
+      isPlainObject(value) &&
+      Array.isArray(value.questions) &&
+      Array.isArray(value.answers),
+    // Current entry wins, unless nothing was answered in it yet
+    merge: (current, imported) =>
+      current.answers.some(Boolean) ? current : imported,
+  },
+  intentions: {
+    label: "Watch intentions",
+    matches: (key) => key.startsWith(INTENTIONS_KEY_PREFIX),
+    validate: (value) =>
+      Array.isArray(value) &&
+      value.every((i) => isPlainObject(i) && typeof i.startedAt === "number"),
+    merge: (current, imported) =>
+      mergeLists(current, imported, (i) => i.id).sort(
+        (a, b) => a.startedAt - b.startedAt
+      ),
+  },
+  focusLog: {
+    label: "Focus sessions",
+    matches: (key) => key === FOCUS_LOG_KEY,
+    validate: (value) =>
+      Array.isArray(value) &&
+      value.every((s) => isPlainObject(s) && typeof s.startedAt === "number"),
+    merge: (current, imported) =>
+      mergeLists(current, imported, (s) => s.id)
+        .sort((a, b) => a.startedAt - b.startedAt)
+        .slice(-MAX_STORED_FOCUS_SESSIONS),
+  },
+  overrides: {
+    label: "Override log",
+    matches: (key) => key === OVERRIDE_LOG_KEY,
+    validate: (value) =>
+      Array.isArray(value) &&
+      value.every((o) => isPlainObject(o) && typeof o.grantedAt === "number"),
+    merge: (current, imported) =>
+      mergeLists(current, imported, (o) => o.id).sort(
+        (a, b) => a.grantedAt - b.grantedAt
+      ),
+  },
+};
+
+/**
+ * A copy of the settings without the ones that stay on each device.
+ */
+function withoutLocalSettings(settings) {
+  const copy = { ...settings };
+  LOCAL_ONLY_SETTINGS.forEach((field) => delete copy[field]);
+  return copy;
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function allNumbers(object) {
+  return Object.values(object).every(
+    (value) => typeof value === "number" && value >= 0
+  );
+}
+
+// Per-key maximum: the same day imported twice isn't counted twice
+function mergeMax(current, imported) {
+  const merged = { ...(current || {}) };
+  for (const key in imported) {
+    merged[key] = Math.max(merged[key] || 0, imported[key]);
+  }
+  return merged;
+}
+
+// Union of two lists, keeping the current entry when both have the same id
+function mergeLists(current, imported, getId) {
+  const merged = [...(current || [])];
+  const ids = new Set(merged.map(getId));
+  imported.forEach((entry) => {
+    if (!ids.has(getId(entry))) merged.push(entry);
+  });
+  return merged;
+}
+
+/**
+ * @param {string} key - A storage key.
+ * @returns {string|null} The BACKUP_KINDS id, or null if not backed up.
+ */
+function getBackupKind(key) {
+  for (const kind in BACKUP_KINDS) {
+    if (BACKUP_KINDS[kind].matches(key)) return kind;
+  }
+  return null;
+}
+
+/**
+ * Collects everything worth backing up from storage.
+ * @returns {Promise<object>} `{ format, version, exportedAt, data }`
+ */
+async function createBackup() {
+  const allData = await chrome.storage.local.get(null);
+  const data = {};
+  for (const key in allData) {
+    const kind = getBackupKind(key);
+    if (!kind) continue;
+    const { exported } = BACKUP_KINDS[kind];
+    data[key] = exported ? exported(allData[key]) : allData[key];
+  }
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    data,
+  };
+}
+
+/**
+ * Checks a parsed backup file.
+ * @param {any} backup
+ * @returns {{errors: string[], warnings: string[]}} Importable if no errors.
+ */
+function validateBackup(backup) {
+  const errors = [];
+  const warnings = [];
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    errors.push("This isn't a FocusMe backup file.");
+    return { errors, warnings };
+  }
+  if (backup.version > BACKUP_VERSION) {
+    errors.push("This backup was made by a newer version of FocusMe.");
+  }
+  if (!isPlainObject(backup.data)) {
+    errors.push("The backup has no data.");
+    return { errors, warnings };
+  }
+
+  for (const key in backup.data) {
+    const kind = getBackupKind(key);
+    if (!kind) {
+      warnings.push(`Unknown entry "${key}" will be skipped.`);
+    } else if (!BACKUP_KINDS[kind].validate(backup.data[key])) {
+      errors.push(`"${key}" (${BACKUP_KINDS[kind].label}) is malformed.`);
+    }
+  }
+  return { errors, warnings };
+}
+
+/**
+ * The storage changes an import would make.
+ * @param {object} backup - A valid backup.
+ * @param {"merge"|"replace"} mode - Merge into the current data, or replace
+ *   all backed-up data with the backup.
+ * @returns {Promise<{updates: object, removals: string[], summary: object[]}>}
+ *   `summary` has one `{ label, added, changed, removed }` row per kind.
+ */
+async function planImport(backup, mode) {
+  const current = await chrome.storage.local.get(null);
+  const updates = {};
+  const removals = [];
+  const summary = {};
+  for (const kind in BACKUP_KINDS) {
+    summary[kind] = {
+      label: BACKUP_KINDS[kind].label,
+      added: 0,
+      changed: 0,
+      removed: 0,
+    };
+  }
+
+  for (const key in backup.data) {
+    const kind = getBackupKind(key);
+    if (!kind) continue;
+    const { merge, keepLocal } = BACKUP_KINDS[kind];
+    let value =
+      mode === "merge" && key in current
+        ? merge(current[key], backup.data[key])
+        : backup.data[key];
+    if (keepLocal) value = keepLocal(current[key], value);
+
+    if (!(key in current)) {
+      summary[kind].added++;
+    } else if (JSON.stringify(current[key]) !== JSON.stringify(value)) {
+      summary[kind].changed++;
+    } else {
+      continue; // Already up to date
+    }
+    updates[key] = value;
+  }
+
+  if (mode === "replace") {
+    for (const key in current) {
+      const kind = getBackupKind(key);
+      if (kind && !(key in backup.data)) {
+        removals.push(key);
+        summary[kind].removed++;
+      }
+    }
+  }
+  return { updates, removals, summary: Object.values(summary) };
+}
+
+/**
+ * Writes a planned import to storage.
+ * @param {{updates: object, removals: string[]}} plan - From planImport().
+ */
+async function applyImport(plan) {
+  if (plan.removals.length) await chrome.storage.local.remove(plan.removals);
+  await chrome.storage.local.set(plan.updates);
+}
+
+/**
+ * One row per day and category, for spreadsheets.
+ * @returns {Promise<string>} CSV with a header row.
+ */
+async function createStatsCsv() {
+  const allData = await chrome.storage.local.get(null);
+  const { categories } = normalizeSettings(allData[SETTINGS_KEY]);
+  const rows = [["date", "category_id", "category_name", "minutes"]];
+
+  Object.keys(allData)
+    .filter((key) => DATE_KEY_PATTERN.test(key))
+    .sort()
+    .forEach((date) => {
+      for (const categoryId in allData[date]) {
+        const cat = categories.find((c) => c.id === categoryId);
+        rows.push([
+          date,
+          categoryId,
+          cat ? cat.name : `${categoryId} (deleted)`,
+          (allData[date][categoryId] / MIN_TO_MS).toFixed(2),
+        ]);
+      }
+    });
+
+  return rows.map((row) => row.map(escapeCsvField).join(",")).join("\n");
+}
+
+function escapeCsvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -2,14 +2,17 @@ console.log(
   "Blocker Script Injected. Listening for commands and SPA navigates."
 );
 
-const PLAY_BUTTON_SELECTOR = "button.ytp-play-button.ytp-button";
-const OVERLAY_ID = "mindfulness-blocker-overlay";
+const DEFAULT_BLOCK_REASON = "Time limit reached for this category.";
+
+// Injected on every page of the supported sites (not only video pages),
+// because they navigate between pages without reloading, so a script that
+// only matched /watch would miss videos opened from the home page.
+// Everything site-specific goes through the adapter (sites/adapters.js).
+const site = getSiteAdapter(location.href);
 
 // --- 1. SPA Navigation Listener ---
-// YouTube is a Single Page App. "yt-navigate-finish" is the custom event
-// that fires every time a new "page" (video) loads within the same tab.
-document.addEventListener("yt-navigate-finish", () => {
-  console.log("SPA Navigation detected (yt-navigate-finish).");
+site.onNavigate(() => {
+  console.log(`SPA Navigation detected on ${site.name}.`);
 
   // 1. Immediately run unblockVideo() to remove any *old* overlay
   //    from the previous video. This fixes the "persisting overlay" bug.
@@ -29,31 +32,22 @@ setInterval(runHandshake, 5000); // 5000ms = 5 seconds
 // Listens for *live* commands from the background (e.g., alarm just fired)
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === "blockVideo") {
-    blockVideo();
+    blockVideo(message.reason, message.overridable);
     sendResponse({ success: true });
   } else if (message.action === "unblockVideo") {
     unblockVideo();
     sendResponse({ success: true });
-  } else if (message.action === "requestTitleFromTab") {
-    console.log("requestTitleFromTab received.");
-    const title = getPageTitle();
-    console.log("title", title);
-    sendResponse({ title: title });
-    return true; // Keep channel open for async response
+  } else if (message.action === "requestItemInfo") {
+    sendResponse({ ...site.getItemInfo(), isPlaying: site.isPlaying() });
   }
 });
 
-function getPageTitle() {
-  const rawTitle = document.title;
-  // Strip the common YouTube suffix for a clean title
-  return rawTitle.replace(/ - YouTube$/, "").trim();
-}
-
 // --- 4. NEW: Handshake Function ---
 // We wrap the handshake in a function so we can call it on load AND on navigate.
 function runHandshake() {
   console.log("Running handshake (checkMyStatus)...");
-  chrome.runtime.sendMessage({ action: "checkMyStatus" }, (response) => {
+  const message = { action: "checkMyStatus", playing: site.isPlaying() };
+  chrome.runtime.sendMessage(message, (response) => {
     if (chrome.runtime.lastError) {
       // This can happen if the background script is reloading.
       // The handshake will just run again on the next navigation.
@@ -65,65 +59,594 @@ function runHandshake() {
     }
 
     if (response && response.action === "blockVideo") {
-      blockVideo();
+      blockVideo(response.reason, response.overridable);
     } else if (response && response.action === "unblockVideo") {
       // This is the normal state, we don't need to do anything
-      // because the 'yt-navigate-finish' listener *already* cleared the overlay.
+      // because the navigation listener *already* cleared the overlay.
       console.log("Handshake response: unblockVideo (Page is clean).");
+      updateCountdown(response.countdown);
+      applyIntervention(response.intervention);
     }
   });
 }
 
 // --- 5. The "Block" Function ---
-function blockVideo() {
-  console.log("BlockVideo command received. Blocking video.");
-  // ... (rest of this function is unchanged) ...
-
-  const videoPlayer = document.querySelector(".html5-video-player");
-  if (!videoPlayer) return;
-
-  // A. Find and disable the play button
-  const playButton = videoPlayer.querySelector(PLAY_BUTTON_SELECTOR);
-  if (playButton) {
-    const isPlaying =
-      playButton.getAttribute("data-title-no-tooltip") === "Pause";
-    if (isPlaying) {
-      playButton.click();
+// Limit and schedule blocks can be overridden, a blocked Shorts policy can't.
+function blockVideo(reason = DEFAULT_BLOCK_REASON, overridable = false) {
+  console.log(`BlockVideo command received. Blocking ${site.name} page.`);
+  clearCountdown();
+  applyIntervention(null);
+  closeIntentionOverlay();
+  site.block(reason);
+  if (overridable) addOverrideButton();
+}
+
+// --- 6. The "Unblock" Function ---
+function unblockVideo() {
+  console.log("UnblockVideo command received. Unblocking page.");
+  clearCountdown();
+  applyIntervention(null);
+  site.unblock();
+}
+
+// --- 7. "Five More Minutes" Override ---
+// Deliberately slow: a typed justification and a countdown before the
+// background grants a short extension (see overrides.js).
+function addOverrideButton() {
+  const text = document.querySelector(`#${BLOCKER_OVERLAY_ID} .blocker-text`);
+  if (!text || text.querySelector(".blocker-override")) return;
+
+  const panel = document.createElement("div");
+  panel.className = "blocker-override";
+  // Keep clicks and keys away from the player (and YouTube's shortcuts)
+  panel.addEventListener("click", (e) => e.stopPropagation());
+  panel.addEventListener("keydown", (e) => e.stopPropagation());
+
+  const button = document.createElement("button");
+  button.textContent = "I need a few more minutes";
+  button.addEventListener("click", () => openOverrideForm(panel));
+  panel.appendChild(button);
+  text.appendChild(panel);
+}
+
+function openOverrideForm(panel) {
+  chrome.runtime.sendMessage({ action: "getOverrideStatus" }, (status) => {
+    if (chrome.runtime.lastError || !status) return;
+    panel.innerHTML = "";
+    if (!status.remaining) {
+      panel.textContent = "No overrides left today.";
+      return;
+    }
+
+    const info = document.createElement("p");
+    info.textContent = `Why do you need ${status.minutes} more minutes? (${
+      status.remaining
+    } override${status.remaining === 1 ? "" : "s"} left today)`;
+    const reasonInput = document.createElement("textarea");
+    reasonInput.rows = 3;
+    reasonInput.placeholder = `At least ${status.minReasonLength} characters`;
+    const confirmButton = document.createElement("button");
+    const error = document.createElement("p");
+    error.className = "blocker-override-error";
+    panel.append(info, reasonInput, confirmButton, error);
+
+    let secondsLeft = status.waitSeconds;
+    const update = () => {
+      const reasonOk =
+        reasonInput.value.trim().length >= status.minReasonLength;
+      confirmButton.disabled = secondsLeft > 0 || !reasonOk;
+      confirmButton.textContent =
+        secondsLeft > 0
+          ? `Wait ${secondsLeft}s...`
+          : `Unlock ${status.minutes} minutes`;
+    };
+    const countdown = setInterval(() => {
+      secondsLeft--;
+      update();
+      if (secondsLeft <= 0) clearInterval(countdown);
+    }, 1000);
+    reasonInput.addEventListener("input", update);
+    update();
+    reasonInput.focus();
+
+    confirmButton.addEventListener("click", () => {
+      confirmButton.disabled = true;
+      chrome.runtime.sendMessage(
+        { action: "requestOverride", reason: reasonInput.value },
+        (response) => {
+          if (chrome.runtime.lastError || !response) return update();
+          if (response.success) {
+            unblockVideo();
+          } else {
+            error.textContent = response.error;
+            update();
+          }
+        }
+      );
+    });
+  });
+}
+
+// --- 8. Countdown Before The Limit ---
+// Every handshake brings the time left. During the last minutes a badge
+// counts down on the player (optionally fading the video out), and at zero
+// the handshake runs right away so the block lands on time, whether the
+// badge is shown or not.
+const COUNTDOWN_ID = "focusme-countdown";
+const FADE_OUT_MS = 20 * 1000;
+let countdownEndsAt = null;
+let countdownShowBelowMs = 0;
+let countdownFadeOut = false;
+
+setInterval(renderCountdown, 1000);
+
+function updateCountdown(countdown) {
+  if (!countdown) {
+    clearCountdown();
+    return;
+  }
+  countdownEndsAt = Date.now() + countdown.remainingMs;
+  countdownShowBelowMs = countdown.showBelowMs;
+  countdownFadeOut = countdown.fadeOut;
+  renderCountdown();
+}
+
+function renderCountdown() {
+  if (countdownEndsAt === null) return;
+  const remainingMs = countdownEndsAt - Date.now();
+  if (remainingMs <= 0) {
+    countdownEndsAt = null;
+    runHandshake();
+    return;
+  }
+
+  let badge = document.getElementById(COUNTDOWN_ID);
+  if (remainingMs > countdownShowBelowMs) {
+    if (badge) badge.remove();
+  } else {
+    if (!badge) {
+      badge = document.createElement("div");
+      badge.id = COUNTDOWN_ID;
+      const player = site.getPlayer();
+      if (!player) badge.className = "focusme-countdown-page";
+      (player || document.body).appendChild(badge);
+    }
+    const totalSeconds = Math.ceil(remainingMs / 1000);
+    const seconds = String(totalSeconds % 60).padStart(2, "0");
+    badge.textContent = `⏳ ${Math.floor(totalSeconds / 60)}:${seconds} left`;
+  }
+
+  setVideoFade(countdownFadeOut ? Math.min(1, remainingMs / FADE_OUT_MS) : 1);
+}
+
+function clearCountdown() {
+  countdownEndsAt = null;
+  const badge = document.getElementById(COUNTDOWN_ID);
+  if (badge) badge.remove();
+  setVideoFade(1);
+}
+
+/**
+ * Lowers the volume and opacity of the videos (1 = back to normal).
+ * @param {number} level - Between 0 and 1.
+ */
+function setVideoFade(level) {
+  document.querySelectorAll("video").forEach((video) => {
+    if (level < 1 && video.dataset.focusmeVolume === undefined) {
+      video.dataset.focusmeVolume = video.volume;
+    }
+    if (video.dataset.focusmeVolume === undefined) return;
+
+    video.volume = video.dataset.focusmeVolume * level;
+    video.style.opacity = level < 1 ? level : "";
+    if (level === 1) delete video.dataset.focusmeVolume;
+  });
+}
+
+// --- 9. Playback Reporting ---
+// Tells the background when the video starts or stops actually playing, so
+// only real viewing is counted. Media events don't bubble, hence capture.
+const PLAYBACK_EVENTS = [
+  "play",
+  "playing",
+  "pause",
+  "ended",
+  "waiting",
+  "ratechange",
+];
+PLAYBACK_EVENTS.forEach((type) =>
+  document.addEventListener(type, reportPlayback, true)
+);
+
+function reportPlayback() {
+  chrome.runtime.sendMessage(
+    { action: "playbackChanged", playing: site.isPlaying() },
+    () => void chrome.runtime.lastError // Background reloading, retried by the handshake
+  );
+}
+
+// --- 10. Site Settings ---
+// Site-specific page tweaks, e.g. hiding the YouTube Shorts shelf or the
+// distraction surfaces. Surfaces set to "auto" depend on today's time, so
+// they are asked from the background again now and then.
+const SITE_SETTINGS_INTERVAL_MS = 30 * 1000;
+
+async function applySiteSettings() {
+  const settings = await getUserSettings(); // From shared.js
+  const hiddenSurfaces = await new Promise((resolve) =>
+    chrome.runtime.sendMessage({ action: "getHiddenSurfaces" }, (response) => {
+      // Background reloading: at least hide what is always hidden
+      if (chrome.runtime.lastError || !response) {
+        const { modes } = settings.surfaces;
+        resolve(Object.keys(modes).filter((id) => modes[id] === "hide"));
+      } else {
+        resolve(response.surfaces);
+      }
+    })
+  );
+  site.applySettings(settings, hiddenSurfaces);
+}
+
+applySiteSettings();
+// Autoplay can only be switched off once the new page's player exists
+site.onNavigate(applySiteSettings);
+setInterval(applySiteSettings, SITE_SETTINGS_INTERVAL_MS);
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === "local" && changes[SETTINGS_KEY]) {
+    applySiteSettings();
+  }
+});
+
+// --- 11. Intervention Ladder ---
+// The softer steps before the hard block (see interventions.js). Every
+// handshake brings the steps the category has reached, which stay applied
+// until the next one: color filters, a slower and pixelated video, a
+// one-time reflection pause, and a banner explaining what is going on.
+const INTERVENTION_BANNER_ID = "focusme-intervention";
+const PIXELATED_ID = "focusme-pixelated";
+const REFLECT_ID = "focusme-reflect";
+const INTERVENTION_FILTERS = { grayscale: "grayscale(1)", blur: "blur(6px)" };
+const SLOWDOWN_RATE = 0.75;
+const PIXELATED_SCALE = 0.08; // Share of the video's resolution kept
+const REFLECT_WAIT_SECONDS = 10;
+let interventionSteps = [];
+let reflectedUrl = null; // The reflection pause is shown once per page
+
+document.addEventListener("ratechange", enforceSlowdown, true);
+
+/**
+ * @param {{steps: string[], message: string}|null} intervention - From the
+ *   handshake, null to lift every step.
+ */
+function applyIntervention(intervention) {
+  interventionSteps = intervention ? intervention.steps : [];
+  const filter = interventionSteps
+    .map((step) => INTERVENTION_FILTERS[step])
+    .filter(Boolean)
+    .join(" ");
+  const root = document.documentElement;
+  root.classList.toggle("focusme-filtered", filter !== "");
+  root.style.setProperty("--focusme-filter", filter || "none");
+
+  enforceSlowdown();
+  setPixelated(interventionSteps.includes("slowdown"));
+  if (interventionSteps.includes("reflect") && reflectedUrl !== location.href) {
+    showReflection(intervention.message);
+  } else if (!interventionSteps.includes("reflect")) {
+    closeReflection();
+  }
+
+  let banner = document.getElementById(INTERVENTION_BANNER_ID);
+  if (!intervention) {
+    if (banner) banner.remove();
+    return;
+  }
+  if (!banner) {
+    banner = document.createElement("div");
+    banner.id = INTERVENTION_BANNER_ID;
+    const player = site.getPlayer();
+    if (!player) banner.className = "focusme-intervention-page";
+    (player || document.body).appendChild(banner);
+  }
+  banner.textContent = intervention.message;
+}
+
+/**
+ * Keeps the videos at SLOWDOWN_RATE at most during the slowdown step, and
+ * gives them their own speed back after it.
+ */
+function enforceSlowdown() {
+  const slow = interventionSteps.includes("slowdown");
+  document.querySelectorAll("video").forEach((video) => {
+    if (slow && video.playbackRate > SLOWDOWN_RATE) {
+      video.dataset.focusmeRate = video.playbackRate;
+      video.playbackRate = SLOWDOWN_RATE;
+    } else if (!slow && video.dataset.focusmeRate !== undefined) {
+      const rate = parseFloat(video.dataset.focusmeRate);
+      delete video.dataset.focusmeRate;
+      video.playbackRate = rate;
     }
-    playButton.disabled = true;
-    console.log("Play button disabled.");
+  });
+}
+
+/**
+ * Draws the player's video at a fraction of its resolution onto a canvas
+ * stretched over it, which looks like a very low quality stream.
+ * @param {boolean} on
+ */
+function setPixelated(on) {
+  const existing = document.getElementById(PIXELATED_ID);
+  if (!on) {
+    if (existing) existing.remove();
+    return;
   }
+  const video = site.getPlayer()?.querySelector("video");
+  if (existing || !video) return;
+
+  const canvas = document.createElement("canvas");
+  canvas.id = PIXELATED_ID;
+  video.after(canvas);
+  const draw = () => {
+    if (!canvas.isConnected) return;
+    if (video.videoWidth) {
+      const width = Math.max(1, Math.round(video.videoWidth * PIXELATED_SCALE));
+      const height = Math.max(
+        1,
+        Math.round(video.videoHeight * PIXELATED_SCALE)
+      );
+      // Resizing clears the canvas, so only when the video changed size
+      if (canvas.width !== width) canvas.width = width;
+      if (canvas.height !== height) canvas.height = height;
+      Object.assign(canvas.style, {
+        left: `${video.offsetLeft}px`,
+        top: `${video.offsetTop}px`,
+        width: `${video.offsetWidth}px`,
+        height: `${video.offsetHeight}px`,
+      });
+      canvas.getContext("2d").drawImage(video, 0, 0, width, height);
+    }
+    requestAnimationFrame(draw);
+  };
+  requestAnimationFrame(draw);
+}
+
+/**
+ * Pauses the page behind an overlay that asks the user to reflect, with
+ * "keep watching" only available after a short wait.
+ * @param {string} message - What the ladder is doing and why.
+ */
+function showReflection(message) {
+  if (document.getElementById(REFLECT_ID)) return;
+  if (document.getElementById(BLOCKER_OVERLAY_ID)) return;
+  reflectedUrl = location.href;
+  document.querySelectorAll("video").forEach((video) => video.pause());
+  document.addEventListener("play", pauseOnPlay, true);
 
-  // B. Add the overlay (if it doesn't exist)
-  if (document.getElementById(OVERLAY_ID)) return;
   const overlay = document.createElement("div");
-  overlay.id = OVERLAY_ID;
+  overlay.id = REFLECT_ID;
   overlay.innerHTML = `
     <div class="blocker-text">
-      Time limit reached for this category.
+      <span class="reflect-message"></span>
       <br>
-      This video is blocked for the rest of the day.
+      Is this still what you want to be watching?
+      <div class="blocker-override">
+        <button class="reflect-leave">No, take me back</button>
+        <button class="reflect-continue"></button>
+      </div>
     </div>
   `;
-  videoPlayer.appendChild(overlay);
-  console.log("Blocker overlay added.");
+  overlay.querySelector(".reflect-message").textContent = message;
+  // Keep clicks and keys away from the player (and YouTube's shortcuts)
+  const panel = overlay.querySelector(".blocker-override");
+  panel.addEventListener("click", (e) => e.stopPropagation());
+  panel.addEventListener("keydown", (e) => e.stopPropagation());
+
+  const player = site.getPlayer();
+  if (!player) overlay.className = "blocker-full-page";
+  (player || document.body).appendChild(overlay);
+
+  overlay
+    .querySelector(".reflect-leave")
+    .addEventListener("click", () => history.back());
+  const continueButton = overlay.querySelector(".reflect-continue");
+  continueButton.addEventListener("click", closeReflection);
+  let secondsLeft = REFLECT_WAIT_SECONDS;
+  const update = () => {
+    continueButton.disabled = secondsLeft > 0;
+    continueButton.textContent =
+      secondsLeft > 0 ? `Keep watching (${secondsLeft}s)` : "Keep watching";
+  };
+  const countdown = setInterval(() => {
+    secondsLeft--;
+    update();
+    if (secondsLeft <= 0) clearInterval(countdown);
+  }, 1000);
+  update();
 }
 
-// --- 6. The "Unblock" Function ---
-function unblockVideo() {
-  console.log("UnblockVideo command received. Unblocking video.");
+function closeReflection() {
+  const overlay = document.getElementById(REFLECT_ID);
+  if (!overlay) return;
+  overlay.remove();
+  releasePlayback();
+}
 
-  // ... (rest of this function is unchanged) ...
-  const overlay = document.getElementById(OVERLAY_ID);
-  if (overlay) {
-    overlay.remove();
-    console.log("Blocker overlay removed.");
+/**
+ * Lets the videos play again, unless another overlay still holds them.
+ */
+function releasePlayback() {
+  const held = [BLOCKER_OVERLAY_ID, REFLECT_ID, INTENTION_ID].some((id) =>
+    document.getElementById(id)
+  );
+  if (!held) document.removeEventListener("play", pauseOnPlay, true);
+}
+
+// --- 12. Intention Prompt ---
+// With the prompt on (see intentions.js), a video is held until the user
+// says what they want from it and for how long. The time it actually plays
+// is counted here, and once it reaches the intention a check-in asks
+// whether they got what they came for.
+const INTENTION_ID = "focusme-intention";
+const INTENTION_REPORT_SECONDS = 30; // How often the watched time is saved
+let intention = null; // The current video's, once answered
+let promptedItemId = null; // The prompt is shown once per video
+
+setInterval(trackIntention, 1000);
+
+function trackIntention() {
+  const itemId = site.getItemId(location.href);
+  if (intention && intention.itemId !== itemId) finishIntention();
+  if (itemId && promptedItemId !== itemId && site.getPlayer()) {
+    promptedItemId = itemId;
+    promptIntention();
   }
+  if (!intention || intention.checkedIn || !site.isPlaying()) return;
+
+  intention.watchedMs += 1000;
+  if (intention.watchedMs >= intention.minutes * MIN_TO_MS) {
+    intention.checkedIn = true;
+    reportIntention({ watchedMs: intention.watchedMs });
+    showCheckIn();
+  } else if (intention.watchedMs % (INTENTION_REPORT_SECONDS * 1000) === 0) {
+    reportIntention({ watchedMs: intention.watchedMs });
+  }
+}
+
+function reportIntention(changes) {
+  chrome.runtime.sendMessage(
+    {
+      action: "updateIntention",
+      dateKey: intention.dateKey,
+      id: intention.id,
+      changes,
+    },
+    () => void chrome.runtime.lastError // Lost with the background, fine
+  );
+}
+
+// Saves the final watched time when the user moves on to another page
+function finishIntention() {
+  reportIntention({ watchedMs: intention.watchedMs });
+  intention = null;
+  closeIntentionOverlay();
+}
+
+/**
+ * The overlay the prompt and the check-in are shown in, holding playback.
+ * @returns {HTMLElement} Its panel, for the form.
+ */
+function openIntentionOverlay(html) {
+  closeIntentionOverlay();
+  document.querySelectorAll("video").forEach((video) => video.pause());
+  document.addEventListener("play", pauseOnPlay, true);
+
+  const overlay = document.createElement("div");
+  overlay.id = INTENTION_ID;
+  overlay.innerHTML = `<div class="blocker-text">${html}</div>`;
+  // Keep clicks and keys away from the player (and YouTube's shortcuts)
+  overlay.addEventListener("click", (e) => e.stopPropagation());
+  overlay.addEventListener("keydown", (e) => e.stopPropagation());
+  // The player may be gone by the time the prompt or check-in opens
+  const player = site.getPlayer();
+  if (!player) overlay.className = "blocker-full-page";
+  (player || document.body).appendChild(overlay);
+  return overlay;
+}
+
+function closeIntentionOverlay() {
+  const overlay = document.getElementById(INTENTION_ID);
+  if (!overlay) return;
+  overlay.remove();
+  releasePlayback();
+}
+
+async function promptIntention() {
+  const settings = await getUserSettings();
+  if (!settings.intentions.enabled) return;
+  if (document.getElementById(BLOCKER_OVERLAY_ID)) return;
+
+  const overlay = openIntentionOverlay(`
+    What do you want from this video?
+    <div class="blocker-override">
+      <textarea rows="2" placeholder="e.g. understand how transformers work"></textarea>
+      <label>
+        I'll watch for
+        <input type="number" class="intention-minutes" min="1" /> min
+      </label>
+      <div>
+        <button class="intention-skip">Skip</button>
+        <button class="intention-start">Start watching</button>
+      </div>
+    </div>
+  `);
+  const intentInput = overlay.querySelector("textarea");
+  const minutesInput = overlay.querySelector(".intention-minutes");
+  const startButton = overlay.querySelector(".intention-start");
+  minutesInput.value = settings.intentions.defaultMinutes;
+  const update = () => {
+    startButton.disabled =
+      !intentInput.value.trim() || !(parseFloat(minutesInput.value) > 0);
+  };
+  intentInput.addEventListener("input", update);
+  minutesInput.addEventListener("input", update);
+  update();
+  intentInput.focus();
+
+  overlay
+    .querySelector(".intention-skip")
+    .addEventListener("click", closeIntentionOverlay);
+  startButton.addEventListener("click", () => {
+    startButton.disabled = true;
+    const item = site.getItemInfo();
+    chrome.runtime.sendMessage(
+      {
+        action: "startIntention",
+        item,
+        intent: intentInput.value.trim(),
+        minutes: parseFloat(minutesInput.value),
+      },
+      (response) => {
+        if (chrome.runtime.lastError || !response) return update();
+        intention = { ...response.intention, checkedIn: false };
+        closeIntentionOverlay();
+        document.querySelector("video")?.play();
+      }
+    );
+  });
+}
+
+function showCheckIn() {
+  const overlay = openIntentionOverlay(`
+    ⏰ Your <span class="intention-minutes"></span> minutes are up.
+    <br>
+    You wanted: <span class="intention-intent"></span>
+    <div class="blocker-override">
+      <p>Did you get what you came for?</p>
+      <div class="intention-outcomes"></div>
+    </div>
+  `);
+  overlay.querySelector(".intention-minutes").textContent = intention.minutes;
+  overlay.querySelector(".intention-intent").textContent = intention.intent;
+  const panel = overlay.querySelector(".blocker-override");
+  const outcomes = overlay.querySelector(".intention-outcomes");
 
-  // B. Find and re-enable the play button
-  const playButton = document.querySelector(PLAY_BUTTON_SELECTOR);
-  if (playButton) {
-    playButton.disabled = false;
-    console.log("Play button enabled.");
+  for (const outcome in INTENTION_OUTCOMES) {
+    const button = document.createElement("button");
+    button.textContent = INTENTION_OUTCOMES[outcome];
+    button.addEventListener("click", () => {
+      reportIntention({ outcome });
+      panel.innerHTML = "";
+      const stopButton = document.createElement("button");
+      stopButton.textContent = "I'm done";
+      stopButton.addEventListener("click", () => history.back());
+      const continueButton = document.createElement("button");
+      continueButton.textContent = "Keep watching";
+      continueButton.addEventListener("click", () => {
+        reportIntention({ keptWatching: true });
+        closeIntentionOverlay();
+      });
+      panel.append(stopButton, continueButton);
+    });
+    outcomes.appendChild(button);
   }
 }
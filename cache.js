@@ -0,0 +1,123 @@
+// --- CLASSIFICATION CACHE ---
+// Remembers the category of each content item (YouTube video, Reddit post),
+// so reloading or revisiting it doesn't cost another AI call. Changes go
+// through updateClassificationCache(), one after the other, so labels of
+// tabs classified at the same time don't overwrite each other.
+// Loaded by the service worker (importScripts), the popup and the settings page.
+
+const CLASSIFICATION_CACHE_KEY = "classificationCache";
+const MAX_CACHE_ENTRIES = 2000;
+
+let cacheQueue = Promise.resolve(); // Settles when the queued changes are done
+
+/**
+ * @typedef {object} CachedClassification
+ * @property {string} category
+ * @property {"ai"|"user"} source - User labels never expire.
+ * @property {number} cachedAt - Epoch ms.
+ */
+
+async function getClassificationCache() {
+  const data = await chrome.storage.local.get(CLASSIFICATION_CACHE_KEY);
+  return data[CLASSIFICATION_CACHE_KEY] || {};
+}
+
+/**
+ * Changes the cache, once every earlier change is done (in this page or
+ * service worker). `mutate` gets the cache to change in place; it is saved
+ * when `mutate` returns.
+ * @param {(cache: Object<string, CachedClassification>) => void} mutate
+ * @returns {Promise<void>}
+ */
+function updateClassificationCache(mutate) {
+  const update = cacheQueue.then(async () => {
+    const cache = await getClassificationCache();
+    mutate(cache);
+    await chrome.storage.local.set({ [CLASSIFICATION_CACHE_KEY]: cache });
+  });
+  // A failed change must not block the ones queued after it
+  cacheQueue = update.catch((err) =>
+    console.error("Cache update failed:", err)
+  );
+  return update;
+}
+
+function isCacheEntryExpired(entry, ttlDays) {
+  return (
+    entry.source !== "user" && Date.now() - entry.cachedAt > ttlDays * DAY_TO_MS
+  );
+}
+
+/**
+ * @param {string} itemId
+ * @param {number} ttlDays - How long AI labels stay valid.
+ * @returns {Promise<CachedClassification|null>}
+ */
+async function getCachedClassification(itemId, ttlDays) {
+  if (!itemId) return null;
+  const entry = (await getClassificationCache())[itemId];
+  if (!entry || isCacheEntryExpired(entry, ttlDays)) return null;
+  return entry;
+}
+
+/**
+ * Stores (or overwrites) the label of an item, dropping the oldest entries
+ * once the cache is full.
+ * @param {string} itemId
+ * @param {string} category
+ * @param {"ai"|"user"} source
+ */
+async function cacheClassification(itemId, category, source) {
+  if (!itemId) return;
+  await updateClassificationCache((cache) => {
+    cache[itemId] = { category, source, cachedAt: Date.now() };
+
+    const ids = Object.keys(cache);
+    if (ids.length > MAX_CACHE_ENTRIES) {
+      ids
+        .sort((a, b) => cache[a].cachedAt - cache[b].cachedAt)
+        .slice(0, ids.length - MAX_CACHE_ENTRIES)
+        .forEach((id) => delete cache[id]);
+    }
+  });
+}
+
+/**
+ * Empties the cache. With `keepUserLabels`, labels the user set by hand
+ * survive as long as their category still exists.
+ * @param {object} [options]
+ * @param {boolean} [options.keepUserLabels]
+ * @param {string[]} [options.categoryIds] - Current categories.
+ */
+async function clearClassificationCache(options = {}) {
+  await updateClassificationCache((cache) => {
+    for (const itemId in cache) {
+      const entry = cache[itemId];
+      if (
+        !options.keepUserLabels ||
+        entry.source !== "user" ||
+        !(options.categoryIds || []).includes(entry.category)
+      ) {
+        delete cache[itemId];
+      }
+    }
+  });
+}
+
+/**
+ * The parts of the settings that change what the AI would answer.
+ * When this changes, cached AI labels are stale.
+ * @param {object} [rawSettings] - As stored under SETTINGS_KEY.
+ * @returns {string}
+ */
+function getClassifierFingerprint(rawSettings) {
+  const { categories } = normalizeSettings(rawSettings);
+  return JSON.stringify(
+    categories.map(({ id, name, description, keywords }) => ({
+      id,
+      name,
+      description,
+      keywords,
+    }))
+  );
+}
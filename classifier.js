@@ -0,0 +1,62 @@
+// --- CLASSIFICATION PIPELINE ---
+// Decides which category a content item (video, post...) belongs to: the
+// user's rules first, then the channel lists (see rules.js), then the label
+// cached for this item ID, and only then the AI (see LLM.js).
+// Loaded by the service worker (importScripts) and the popup.
+
+/**
+ * @param {object} item - Item info from the content script's site adapter
+ *   (`{ site, itemId, kind, title, channel, channelId, url }`).
+ * @returns {Promise<{category: string, source: "rule"|"channel"|"ai"|"user", rule?: object}|null>}
+ *   null if the channel is blocked (see isChannelBlocked()), the AI isn't
+ *   sure or the title isn't loaded yet.
+ */
+async function categorizeItem(item) {
+  const { categories, rules, blockedChannels, cacheTtlDays } =
+    await getUserSettings();
+  const categoryIds = categories.map((cat) => cat.id);
+
+  if (isChannelBlocked(blockedChannels, item)) {
+    console.log(`⛔ Channel "${item.channel}" is blocked, not classifying.`);
+    return null;
+  }
+
+  const rule = findMatchingRule(rules, item, categoryIds);
+  if (rule) {
+    console.log(`📏 Rule matched: ${describeRule(rule)} -> ${rule.category}`);
+    return {
+      category: rule.category,
+      source: "rule",
+      rule: { id: rule.id, description: describeRule(rule) },
+    };
+  }
+
+  const channelCategory = findChannelCategory(categories, item);
+  if (channelCategory) {
+    console.log(`📺 Channel "${item.channel}" listed -> ${channelCategory}`);
+    return { category: channelCategory, source: "channel" };
+  }
+
+  const cached = await getCachedClassification(item.itemId, cacheTtlDays);
+  if (cached && categoryIds.includes(cached.category)) {
+    console.log(`💾 Cached label for ${item.itemId}: ${cached.category}`);
+    return { category: cached.category, source: cached.source };
+  }
+
+  // Until the page is loaded the title is just the site name
+  const site = getSiteAdapter(item.url);
+  if (!item.title || (site && item.title === site.name)) {
+    console.log("Title not ready yet, skipping auto-cat.");
+    return null;
+  }
+
+  const category = await classifyTitle(item.title, undefined, item.kind);
+  if (!categoryIds.includes(category)) {
+    console.warn("AI returned invalid category:", category);
+    return null;
+  }
+  if (cacheTtlDays > 0) {
+    await cacheClassification(item.itemId, category, "ai");
+  }
+  return { category, source: "ai" };
+}
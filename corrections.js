@@ -0,0 +1,83 @@
+// --- AI CORRECTIONS ---
+// Every time the user overrides a category the AI picked, the mistake is
+// stored here and the most relevant ones are fed back into the prompt.
+// Loaded by the service worker (importScripts), the popup and the settings page.
+
+const CORRECTIONS_KEY = "aiCorrections";
+const MAX_STORED_CORRECTIONS = 200;
+
+/**
+ * @typedef {object} Correction
+ * @property {string} id
+ * @property {string} title - The video title the AI got wrong.
+ * @property {string} channel
+ * @property {string} wrongCategory - What the AI said.
+ * @property {string} correctCategory - What the user picked instead.
+ * @property {number} createdAt - Epoch ms.
+ */
+
+/**
+ * @returns {Promise<Correction[]>} Oldest first.
+ */
+async function getCorrections() {
+  const data = await chrome.storage.local.get(CORRECTIONS_KEY);
+  return data[CORRECTIONS_KEY] || [];
+}
+
+async function saveCorrections(corrections) {
+  await chrome.storage.local.set({ [CORRECTIONS_KEY]: corrections });
+}
+
+/**
+ * Stores a new correction. An older correction for the same title is
+ * replaced, so the latest decision wins.
+ * @param {Omit<Correction, "id" | "createdAt">} correction
+ */
+async function addCorrection(correction) {
+  const corrections = (await getCorrections()).filter(
+    (c) => c.title !== correction.title
+  );
+  corrections.push({
+    ...correction,
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt: Date.now(),
+  });
+  await saveCorrections(corrections.slice(-MAX_STORED_CORRECTIONS));
+}
+
+/**
+ * Lowercase words of 3+ letters, used to compare titles.
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function tokenizeTitle(text) {
+  return new Set((text || "").toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+}
+
+/**
+ * Picks the corrections most similar to a title (shared words), using
+ * recency to break ties, so the prompt gets the most useful examples.
+ * @param {Correction[]} corrections
+ * @param {string} title
+ * @param {number} limit
+ * @returns {Correction[]}
+ */
+function selectRelevantCorrections(corrections, title, limit) {
+  if (limit <= 0) return [];
+  const titleWords = tokenizeTitle(title);
+
+  return corrections
+    .map((correction) => {
+      let shared = 0;
+      tokenizeTitle(correction.title).forEach((word) => {
+        if (titleWords.has(word)) shared++;
+      });
+      return { correction, shared };
+    })
+    .sort(
+      (a, b) =>
+        b.shared - a.shared || b.correction.createdAt - a.correction.createdAt
+    )
+    .slice(0, limit)
+    .map((scored) => scored.correction);
+}
@@ -0,0 +1,141 @@
+// --- FOCUS SESSIONS ---
+// A Pomodoro-style session started from the popup: for a set time only the
+// chosen categories may play, every other video is blocked whatever its
+// limits. A session may be split into rounds with breaks in between, during
+// which the usual limits apply again. The running session is kept under
+// "focusSession", and every session that ended (completed or abandoned) is
+// logged for the Stats tab.
+// Loaded by the service worker (importScripts) and the settings page.
+
+const FOCUS_SESSION_KEY = "focusSession";
+const FOCUS_LOG_KEY = "focusLog";
+const MAX_STORED_FOCUS_SESSIONS = 500;
+
+/**
+ * @typedef {object} FocusSession
+ * @property {string} id
+ * @property {string[]} categories - Category ids allowed while focusing.
+ * @property {number} focusMinutes - Length of each focus round.
+ * @property {number} breakMinutes - Length of the breaks, 0 = no breaks.
+ * @property {number} rounds - How many focus rounds there are.
+ * @property {number} round - The current one, from 1.
+ * @property {"focus"|"break"} phase
+ * @property {number} phaseEndsAt - Epoch ms.
+ * @property {number} startedAt - Epoch ms.
+ */
+
+/**
+ * @typedef {object} FocusLogEntry
+ * @property {string} id
+ * @property {string[]} categories
+ * @property {number} focusMinutes
+ * @property {number} breakMinutes
+ * @property {number} rounds
+ * @property {number} startedAt - Epoch ms.
+ * @property {number} endedAt - Epoch ms.
+ * @property {number} focusedMs - Time spent in focus rounds.
+ * @property {"completed"|"abandoned"} status
+ */
+
+/**
+ * A new session, in its first focus round from now on.
+ * @param {Pick<FocusSession, "categories" | "focusMinutes" | "breakMinutes" | "rounds">} options
+ * @returns {FocusSession}
+ */
+function createFocusSession(options, now = Date.now()) {
+  return {
+    id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+    categories: options.categories,
+    focusMinutes: options.focusMinutes,
+    breakMinutes: options.breakMinutes,
+    rounds: options.rounds,
+    round: 1,
+    phase: "focus",
+    phaseEndsAt: now + options.focusMinutes * MIN_TO_MS,
+    startedAt: now,
+  };
+}
+
+/**
+ * @returns {Promise<FocusSession|null>}
+ */
+async function getFocusSession() {
+  const data = await chrome.storage.local.get(FOCUS_SESSION_KEY);
+  return data[FOCUS_SESSION_KEY] || null;
+}
+
+/**
+ * The phase after the current one: the break after a focus round (if the
+ * session has breaks), or the next focus round.
+ * @param {FocusSession} session
+ * @returns {FocusSession|null} null once the last focus round is over.
+ */
+function getNextFocusPhase(session) {
+  const start = session.phaseEndsAt;
+  if (session.phase === "focus") {
+    if (session.round >= session.rounds) return null;
+    if (session.breakMinutes > 0) {
+      return {
+        ...session,
+        phase: "break",
+        phaseEndsAt: start + session.breakMinutes * MIN_TO_MS,
+      };
+    }
+  }
+  return {
+    ...session,
+    round: session.round + 1,
+    phase: "focus",
+    phaseEndsAt: start + session.focusMinutes * MIN_TO_MS,
+  };
+}
+
+/**
+ * Time a session has spent in focus rounds so far.
+ * @param {FocusSession} session
+ * @returns {number} Milliseconds.
+ */
+function getFocusedMs(session, now = Date.now()) {
+  const roundMs = session.focusMinutes * MIN_TO_MS;
+  const doneRounds =
+    session.phase === "focus" ? session.round - 1 : session.round;
+  const currentMs =
+    session.phase === "focus"
+      ? Math.max(0, roundMs - Math.max(0, session.phaseEndsAt - now))
+      : 0;
+  return doneRounds * roundMs + currentMs;
+}
+
+/**
+ * @returns {Promise<FocusLogEntry[]>} Oldest first.
+ */
+async function getFocusLog() {
+  const data = await chrome.storage.local.get(FOCUS_LOG_KEY);
+  return data[FOCUS_LOG_KEY] || [];
+}
+
+/**
+ * Logs a session that just ended.
+ * @param {FocusSession} session
+ * @param {"completed"|"abandoned"} status
+ * @returns {Promise<FocusLogEntry>}
+ */
+async function logFocusSession(session, status, now = Date.now()) {
+  const log = await getFocusLog();
+  const entry = {
+    id: session.id,
+    categories: session.categories,
+    focusMinutes: session.focusMinutes,
+    breakMinutes: session.breakMinutes,
+    rounds: session.rounds,
+    startedAt: session.startedAt,
+    endedAt: now,
+    focusedMs: getFocusedMs(session, now),
+    status,
+  };
+  log.push(entry);
+  await chrome.storage.local.set({
+    [FOCUS_LOG_KEY]: log.slice(-MAX_STORED_FOCUS_SESSIONS),
+  });
+  return entry;
+}
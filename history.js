@@ -0,0 +1,82 @@
+// --- WATCH HISTORY ---
+// One entry per timed video or post, stored per day under "history_YYYY-MM-DD".
+// Days older than HISTORY_RETENTION_DAYS are dropped, to stay well within
+// the storage quota (the daily totals in the stats are kept).
+// Loaded by the service worker (importScripts) and the settings page.
+
+const HISTORY_KEY_PREFIX = "history_";
+const HISTORY_RETENTION_DAYS = 90;
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string|null} site - Site adapter id ("youtube", "reddit").
+ * @property {string|null} itemId - Content item ID (see sites/adapters.js).
+ *   Entries from before Reddit support have a `videoId` instead.
+ * @property {string} title
+ * @property {string} channel
+ * @property {string} channelId - "@handle"/"UC..." channel id, or subreddit.
+ * @property {string} url
+ * @property {string} category - Category id.
+ * @property {"ai"|"rule"|"user"} source - Who picked the category.
+ * @property {{id: string, description: string}|null} rule - The rule that
+ *   fired, when source is "rule".
+ * @property {number} startTime - Epoch ms when the timer started.
+ * @property {number} endTime - Epoch ms when the timer stopped.
+ * @property {number} durationMs - Time counted against the category.
+ */
+
+function getHistoryKey(dateKey) {
+  return HISTORY_KEY_PREFIX + dateKey;
+}
+
+/**
+ * Appends an entry to the history of the given day.
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @param {HistoryEntry} entry
+ */
+async function appendHistoryEntry(dateKey, entry) {
+  const key = getHistoryKey(dateKey);
+  const data = await chrome.storage.local.get(key);
+  const entries = data[key] || [];
+  entries.push(entry);
+  await chrome.storage.local.set({ [key]: entries });
+}
+
+/**
+ * Reads history entries, newest first.
+ * @param {string} [dateKey] - "YYYY-MM-DD", or empty for every day.
+ * @returns {Promise<HistoryEntry[]>}
+ */
+async function getHistory(dateKey) {
+  let entries = [];
+  if (dateKey) {
+    const key = getHistoryKey(dateKey);
+    const data = await chrome.storage.local.get(key);
+    entries = data[key] || [];
+  } else {
+    const allData = await chrome.storage.local.get(null);
+    for (const key in allData) {
+      if (key.startsWith(HISTORY_KEY_PREFIX)) entries.push(...allData[key]);
+    }
+  }
+  return entries.sort((a, b) => b.startTime - a.startTime);
+}
+
+/**
+ * Drops the history of the days before the last HISTORY_RETENTION_DAYS.
+ * @param {Date} [now]
+ * @param {number} [dayStartHour]
+ * @returns {Promise<string[]>} The removed keys.
+ */
+async function pruneHistory(now = new Date(), dayStartHour = 0) {
+  const oldest = getDayStart(now, dayStartHour);
+  oldest.setDate(oldest.getDate() - (HISTORY_RETENTION_DAYS - 1));
+  const oldestKey = getHistoryKey(getDateKey(oldest, dayStartHour));
+
+  const allData = await chrome.storage.local.get(null);
+  const stale = Object.keys(allData).filter(
+    (key) => key.startsWith(HISTORY_KEY_PREFIX) && key < oldestKey
+  );
+  if (stale.length) await chrome.storage.local.remove(stale);
+  return stale;
+}
@@ -0,0 +1,81 @@
+// --- WATCH INTENTIONS ---
+// When the intention prompt is on, the content script asks before a video
+// plays what the user wants from it and for how long, and checks in once
+// that time is watched. One entry per answered prompt, stored per day
+// under "intentions_YYYY-MM-DD", so the Stats tab can show how often
+// sessions run past what was intended.
+// Loaded by the service worker (importScripts) and the settings page.
+
+const INTENTIONS_KEY_PREFIX = "intentions_";
+
+/**
+ * @typedef {object} Intention
+ * @property {string} id
+ * @property {string} dateKey - The day it was made, "YYYY-MM-DD".
+ * @property {string|null} itemId - Content item ID (see sites/adapters.js).
+ * @property {string} title
+ * @property {string} url
+ * @property {string} intent - What the user wanted from the video.
+ * @property {number} minutes - How long they meant to watch.
+ * @property {number} startedAt - Epoch ms.
+ * @property {number} watchedMs - Time the video played, as last reported.
+ * @property {"yes"|"partly"|"no"|null} outcome - From the check-in (see
+ *   INTENTION_OUTCOMES in shared.js), null if it never came (the page was
+ *   left before the time ran out).
+ * @property {boolean} keptWatching - Chose to go on after the check-in.
+ */
+
+function getIntentionsKey(dateKey) {
+  return INTENTIONS_KEY_PREFIX + dateKey;
+}
+
+/**
+ * Stores a new intention, answered just now.
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @param {Pick<Intention, "itemId" | "title" | "url" | "intent" | "minutes">} fields
+ * @returns {Promise<Intention>}
+ */
+async function addIntention(dateKey, fields) {
+  const key = getIntentionsKey(dateKey);
+  const data = await chrome.storage.local.get(key);
+  const entry = {
+    ...fields,
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    dateKey,
+    startedAt: Date.now(),
+    watchedMs: 0,
+    outcome: null,
+    keptWatching: false,
+  };
+  await chrome.storage.local.set({ [key]: [...(data[key] || []), entry] });
+  return entry;
+}
+
+/**
+ * Changes an intention's watched time or check-in answers.
+ * @param {string} dateKey - The day it was made.
+ * @param {string} id
+ * @param {Partial<Pick<Intention, "watchedMs" | "outcome" | "keptWatching">>} changes
+ */
+async function updateIntention(dateKey, id, changes) {
+  const key = getIntentionsKey(dateKey);
+  const data = await chrome.storage.local.get(key);
+  const entries = data[key] || [];
+  const entry = entries.find((e) => e.id === id);
+  if (!entry) return;
+  Object.assign(entry, changes);
+  await chrome.storage.local.set({ [key]: entries });
+}
+
+/**
+ * Whether a session ran past what was intended: watched for longer, or
+ * went on after the check-in.
+ * @param {Intention} intention
+ * @returns {boolean}
+ */
+function isBeyondIntent(intention) {
+  return (
+    intention.keptWatching ||
+    intention.watchedMs > intention.minutes * MIN_TO_MS
+  );
+}
@@ -0,0 +1,102 @@
+// --- INTERVENTION LADDER ---
+// Instead of only a hard block at the limit, a category can step through
+// softer interventions as its budget runs out: the page turns gray, then
+// blurry, then slow and low-res, then a reflection pause interrupts it, and
+// finally it is blocked. Each step starts at a share of the budget used, in
+// percent of the tightest budget (daily, weekly or rolling). The hard block
+// may be set past 100 %, so the other steps can run on after the limit.
+// Loaded by the service worker (importScripts) and the settings page.
+
+/**
+ * The steps, mildest first. The effects themselves are in blocker.js.
+ */
+const INTERVENTION_STEPS = [
+  {
+    id: "grayscale",
+    label: "Grayscale",
+    icon: "🌑",
+    description: "The video loses its colors.",
+  },
+  {
+    id: "blur",
+    label: "Blur",
+    icon: "🌫️",
+    description: "The video gets blurry.",
+  },
+  {
+    id: "slowdown",
+    label: "Slow & low-res",
+    icon: "🐢",
+    description: "The video plays slower and at a low resolution.",
+  },
+  {
+    id: "reflect",
+    label: "Reflection pause",
+    icon: "🤔",
+    description: "The video pauses once for a moment of reflection.",
+  },
+  {
+    id: "block",
+    label: "Hard block",
+    icon: "⛔",
+    description: "The video is blocked until the limit resets.",
+  },
+];
+
+// Percent of the budget at which each step starts, null = off. The softer
+// steps are off until the user sets them, so a limit only blocks as before.
+// The block can't be turned off or set below 100 %, a limit stays a limit.
+const DEFAULT_INTERVENTIONS = {
+  grayscale: null,
+  blur: null,
+  slowdown: null,
+  reflect: null,
+  block: 100,
+};
+
+/**
+ * A category's ladder, with the defaults for steps it doesn't set
+ * (categories saved before the ladder existed get the default one).
+ * @param {object} category
+ * @returns {Object<string, number|null>} Step id -> percent.
+ */
+function getInterventions(category) {
+  const ladder = {
+    ...DEFAULT_INTERVENTIONS,
+    ...(category.interventions || {}),
+  };
+  ladder.block = Math.max(100, ladder.block || 0);
+  return ladder;
+}
+
+/**
+ * The share of its tightest budget a category has used.
+ * @param {Object<string, {usedMs: number, limitMs: number}>} budgets - One
+ *   category's entry of getBudgetUsage() (background.js).
+ * @returns {{periodId: string, usedMs: number, limitMs: number, percent: number}|null}
+ *   null if the category has no limit.
+ */
+function getTightestBudget(budgets) {
+  let tightest = null;
+  for (const periodId in budgets) {
+    const { usedMs, limitMs } = budgets[periodId];
+    const percent = limitMs > 0 ? (usedMs / limitMs) * 100 : Infinity;
+    if (!tightest || percent > tightest.percent) {
+      tightest = { periodId, usedMs, limitMs, percent };
+    }
+  }
+  return tightest;
+}
+
+/**
+ * The steps a category has reached, mildest first.
+ * @param {object} category
+ * @param {number} percent - Share of the budget used, see getTightestBudget().
+ * @returns {object[]} Entries of INTERVENTION_STEPS.
+ */
+function getReachedInterventions(category, percent) {
+  const ladder = getInterventions(category);
+  return INTERVENTION_STEPS.filter(
+    (step) => ladder[step.id] !== null && percent >= ladder[step.id]
+  );
+}
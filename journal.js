@@ -0,0 +1,105 @@
+// --- REFLECTION JOURNAL ---
+// After each day, the AI writes a few reflection questions from the day's
+// category totals (and the titles watched); the answers are written in the
+// settings page's Journal tab. One entry per day under "journal_YYYY-MM-DD".
+// Loaded by the service worker (importScripts) and the settings page, after
+// LLM.js, history.js and schedule.js.
+
+const JOURNAL_KEY_PREFIX = "journal_";
+const MAX_JOURNAL_TITLES = 30; // Keeps the prompt short on heavy days
+
+/**
+ * @typedef {object} JournalEntry
+ * @property {string} dateKey - The day reflected on, "YYYY-MM-DD".
+ * @property {string[]} questions - From the AI, empty if it failed.
+ * @property {string[]} answers - One per question.
+ * @property {number} createdAt - Epoch ms.
+ * @property {string} [error] - Why no questions could be written.
+ */
+
+function getJournalKey(dateKey) {
+  return JOURNAL_KEY_PREFIX + dateKey;
+}
+
+/**
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @returns {Promise<JournalEntry|null>}
+ */
+async function getJournalEntry(dateKey) {
+  const key = getJournalKey(dateKey);
+  const data = await chrome.storage.local.get(key);
+  return data[key] || null;
+}
+
+async function saveJournalEntry(entry) {
+  await chrome.storage.local.set({ [getJournalKey(entry.dateKey)]: entry });
+}
+
+/**
+ * Every journal entry, newest day first.
+ * @returns {Promise<JournalEntry[]>}
+ */
+async function getJournalEntries() {
+  const allData = await chrome.storage.local.get(null);
+  return Object.keys(allData)
+    .filter((key) => key.startsWith(JOURNAL_KEY_PREFIX))
+    .map((key) => allData[key])
+    .sort((a, b) => b.dateKey.localeCompare(a.dateKey));
+}
+
+/**
+ * What the AI is told about a day: the minutes per category and, if the
+ * user allows it, the titles from the watch history.
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @returns {Promise<{dateKey: string, totals: object[], titles: string[]}>}
+ *   `totals` has one `{ name, minutes, limit }` per category used that day.
+ */
+async function summarizeDay(dateKey) {
+  const settings = await getUserSettings();
+  const stats = (await chrome.storage.local.get(dateKey))[dateKey] || {};
+  const day = new Date(`${dateKey}T12:00`); // For the weekend limit
+
+  const totals = Object.keys(stats)
+    .filter((categoryId) => stats[categoryId] > 0)
+    .map((categoryId) => {
+      const cat = settings.categories.find((c) => c.id === categoryId);
+      return {
+        name: cat ? cat.name : categoryId,
+        minutes: Math.round(stats[categoryId] / MIN_TO_MS),
+        limit: cat ? getDailyLimit(cat, day) : null,
+      };
+    });
+
+  let titles = [];
+  if (settings.journal.includeTitles) {
+    const history = await getHistory(dateKey);
+    titles = [...new Set(history.map((e) => e.title).filter(Boolean))].slice(
+      0,
+      MAX_JOURNAL_TITLES
+    );
+  }
+  return { dateKey, totals, titles };
+}
+
+/**
+ * Asks the AI for a day's reflection questions and stores them as that
+ * day's entry, replacing any earlier questions and answers.
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @param {object} [llmConfig] - See callLLM() in LLM.js.
+ * @returns {Promise<JournalEntry>}
+ * @throws If the AI can't be reached or doesn't reply with questions.
+ */
+async function generateJournalEntry(dateKey, llmConfig) {
+  const questions = await createJournalQuestions(
+    await summarizeDay(dateKey),
+    llmConfig
+  );
+  const entry = {
+    dateKey,
+    questions,
+    answers: questions.map(() => ""),
+    createdAt: Date.now(),
+  };
+  await saveJournalEntry(entry);
+  return entry;
+}
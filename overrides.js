@@ -0,0 +1,75 @@
+// --- LIMIT OVERRIDES ---
+// "Five more minutes": after a typed justification and a wait, the user can
+// lift a block for a few minutes. Every override is logged so they can be
+// reviewed in the Stats tab, and only a few are allowed per day.
+// Loaded by the service worker (importScripts) and the settings page.
+
+const OVERRIDE_LOG_KEY = "overrideLog";
+const MAX_STORED_OVERRIDES = 500;
+
+/**
+ * @typedef {object} Override
+ * @property {string} id
+ * @property {string} category - Category id the block was lifted for.
+ * @property {string} reason - The user's justification.
+ * @property {string} blockReason - What the overlay said.
+ * @property {string} title - Title of the page it was granted on.
+ * @property {string} url
+ * @property {number} minutes - Length of the extension.
+ * @property {number} grantedAt - Epoch ms.
+ * @property {number} expiresAt - Epoch ms.
+ */
+
+/**
+ * @returns {Promise<Override[]>} Oldest first.
+ */
+async function getOverrideLog() {
+  const data = await chrome.storage.local.get(OVERRIDE_LOG_KEY);
+  return data[OVERRIDE_LOG_KEY] || [];
+}
+
+/**
+ * Logs a new override, starting now.
+ * @param {Omit<Override, "id" | "grantedAt" | "expiresAt">} override
+ * @returns {Promise<Override>}
+ */
+async function addOverride(override) {
+  const log = await getOverrideLog();
+  const entry = {
+    ...override,
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    grantedAt: Date.now(),
+    expiresAt: Date.now() + override.minutes * MIN_TO_MS,
+  };
+  log.push(entry);
+  await chrome.storage.local.set({
+    [OVERRIDE_LOG_KEY]: log.slice(-MAX_STORED_OVERRIDES),
+  });
+  return entry;
+}
+
+/**
+ * Overrides granted on a given day.
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @param {number} [dayStartHour] - See DEFAULT_SETTINGS.dayStartHour.
+ * @returns {Promise<Override[]>}
+ */
+async function getOverridesForDay(dateKey, dayStartHour = 0) {
+  return (await getOverrideLog()).filter(
+    (o) => getDateKey(new Date(o.grantedAt), dayStartHour) === dateKey
+  );
+}
+
+/**
+ * The override currently lifting the blocks of a category, if any.
+ * @param {string} category - Category id.
+ * @returns {Promise<Override|null>}
+ */
+async function getActiveOverride(category) {
+  const now = Date.now();
+  return (
+    (await getOverrideLog()).find(
+      (o) => o.category === category && o.expiresAt > now
+    ) || null
+  );
+}
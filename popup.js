@@ -1,53 +1,44 @@
 // --- Constants ---
-const MIN_TO_MS = 60 * 1000;
+// MIN_TO_MS and getUserSettings() come from shared.js
 
 // --- DOM Elements ---
-let statusEl, trashEl, interestingEl, curriculumEl, phdEl;
+let statusEl, buttonsEl, statsEl, channelEl, focusEl;
 let allButtons;
 let statUpdateInterval;
 
-const CATEGORIES = ["trash", "interesting", "curriculum", "phd"];
+// User-defined categories, loaded from settings on open
+let categories = [];
+// Category the current tab is timed against (null until categorized)
+let currentCategory = null;
 
 /**
- * Executes the AI classification logic:
- * 1. Safely requests the video title from the active tab.
- * 2. Sends the title to the background script for Gemini API call.
- * 3. Auto-starts the timer based on the AI's response.
+ * Executes the auto-classification logic:
+ * 1. Safely requests the item (video, post...) info from the active tab.
+ * 2. Checks the user's rules, then asks the configured AI (see classifier.js).
+ * 3. Auto-starts the timer based on the result.
  */
 const getAiTitle = async (tabId) => {
-  const getTitleFromTab = (tabId) => {
-    return new Promise((resolve, reject) => {
-      chrome.tabs.sendMessage(
-        tabId,
-        { action: "requestTitleFromTab" },
-        (response) => {
-          if (chrome.runtime.lastError) {
-            // This catches the 'Receiving end does not exist' error.
-            return reject(chrome.runtime.lastError.message);
-          }
-          const title = response?.title ?? "Unknown Video Title";
-          resolve(title);
-        }
-      );
-    });
-  };
-
   try {
-    const title = await getTitleFromTab(tabId);
-    console.log("Title successfully retrieved:", title);
+    const item = await getItemFromTab(tabId);
+    console.log("Item successfully retrieved:", item.title);
+
+    const result = await categorizeItem(item);
+    console.log("Suggested Category:", result);
 
-    const category = await callGemini(title);
-    console.log("AI Suggested Category:", category);
+    // The user may have picked a category while the AI was thinking
+    if (currentCategory) return;
 
-    if (category && CATEGORIES.includes(category)) {
+    if (result) {
       chrome.runtime.sendMessage({
         action: "startTimer",
-        category: category,
+        category: result.category,
         tabId: tabId,
+        source: result.source,
+        rule: result.rule,
       });
 
-      statusEl.textContent = `AI suggests: ${category}`;
-      showCategorizedUI(category, true); // Optionally highlight the suggested button
+      const sourceLabels = { rule: "Rule", channel: "Channel list" };
+      showCategorizedUI(result.category, sourceLabels[result.source] || "AI");
     }
   } catch (error) {
     console.error(
@@ -62,19 +53,27 @@ const getAiTitle = async (tabId) => {
 document.addEventListener("DOMContentLoaded", async () => {
   // 1. Get all DOM elements
   statusEl = document.getElementById("status");
-  trashEl = document.getElementById("stats-trash");
-  interestingEl = document.getElementById("stats-interesting");
-  curriculumEl = document.getElementById("stats-curriculum");
-  phdEl = document.getElementById("stats-phd");
-  allButtons = document.querySelectorAll(".buttons button");
+  buttonsEl = document.getElementById("category-buttons");
+  statsEl = document.getElementById("category-stats");
+  channelEl = document.getElementById("channel-actions");
+  focusEl = document.getElementById("focus-session");
+
+  // 1b. Build the buttons and stat rows from the user's categories
+  const settings = await getUserSettings();
+  ({ categories } = settings);
+  renderCategories();
+  allButtons = buttonsEl.querySelectorAll("button");
+  // Focus sessions can be started from any page
+  renderFocusSession(settings.focus);
 
   // 2. Check Tab URL
   let [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  const youtubeURL = "youtube.com/watch";
-  const isYouTubeVideo = tab.url && tab.url.includes(youtubeURL);
+  // Shorts follow their own policy (see the Shorts settings)
+  const isTrackable =
+    tab.url && getItemIdFromUrl(tab.url) && !YOUTUBE_SITE.getShortsId(tab.url);
 
-  if (!isYouTubeVideo) {
-    statusEl.textContent = "Not on a YouTube video page.";
+  if (!isTrackable) {
+    statusEl.textContent = "Not on a supported video or post page.";
     allButtons.forEach((btn) => (btn.disabled = true));
     return; // Stop here if not on a video
   }
@@ -94,15 +93,17 @@ document.addEventListener("DOMContentLoaded", async () => {
 
       if (response && response.category) {
         // --- This tab is ALREADY categorized ---
-        statusEl.textContent = "This video is categorized as:";
+        statusEl.textContent = "This page is categorized as:";
         showCategorizedUI(response.category);
       } else {
         // --- This tab is NOT categorized ---
         getAiTitle(tab.id);
 
-        statusEl.textContent = "Categorize this video:";
-        addClickListeners(tab.id); // Only add listeners if uncategorized
+        statusEl.textContent = "Categorize this page:";
       }
+      // Buttons stay live so a wrong category can be corrected
+      addClickListeners(tab.id);
+      renderChannelActions(tab.id);
     }
   );
 
@@ -120,11 +121,278 @@ window.addEventListener("unload", () => {
 
 // --- Helper Functions ---
 
+/**
+ * Asks the content script of a tab for its item (video, post...) info.
+ * @returns {Promise<object>}
+ */
+function getItemFromTab(tabId) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(
+      tabId,
+      { action: "requestItemInfo" },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          // This catches the 'Receiving end does not exist' error.
+          return reject(chrome.runtime.lastError.message);
+        }
+        resolve(response || {});
+      }
+    );
+  });
+}
+
+/**
+ * Offers one-click "always treat this channel as..." buttons, one per
+ * category plus one to always block it (see the channel lists in rules.js).
+ * The list the channel is on now is highlighted.
+ */
+async function renderChannelActions(tabId) {
+  const item = await getItemFromTab(tabId).catch(() => ({}));
+  if (!item.channel && !item.channelId) return;
+
+  const settings = await getUserSettings();
+  const current = isChannelBlocked(settings.blockedChannels, item)
+    ? CHANNEL_BLOCK_TARGET
+    : findChannelCategory(settings.categories, item);
+
+  const label = document.createElement("div");
+  label.className = "channel-label";
+  label.textContent = `Always treat ${item.channel || item.channelId} as:`;
+  const buttons = document.createElement("div");
+  buttons.className = "channel-buttons";
+
+  const targets = [
+    ...categories.map((cat) => ({
+      id: cat.id,
+      text: cat.emoji || cat.name.charAt(0),
+      title: cat.name,
+    })),
+    { id: CHANNEL_BLOCK_TARGET, text: "⛔", title: "Always block" },
+  ];
+  targets.forEach((target) => {
+    const button = document.createElement("button");
+    button.textContent = target.text;
+    button.title =
+      target.id === current
+        ? `${target.title} (click to unlist)`
+        : target.title;
+    button.classList.toggle("selected", target.id === current);
+    button.addEventListener("click", () => {
+      // Keeps a late AI suggestion from starting a timer as well
+      currentCategory = currentCategory || target.id;
+      chrome.runtime.sendMessage(
+        {
+          action: "setChannelList",
+          tabId: tabId,
+          target: target.id === current ? null : target.id,
+        },
+        () => window.close()
+      );
+    });
+    buttons.appendChild(button);
+  });
+  channelEl.replaceChildren(label, buttons);
+}
+
+// --- Focus Sessions (see focus.js) ---
+
+/**
+ * Shows the running focus session with a button to end it, or the form to
+ * start one, filled in with the last choices.
+ * @param {object} defaults - The `focus` setting.
+ */
+function renderFocusSession(defaults) {
+  chrome.runtime.sendMessage({ action: "getFocusSession" }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    if (response.session) {
+      renderRunningFocus(response.session, defaults);
+    } else {
+      renderFocusForm(defaults);
+    }
+  });
+}
+
+function renderFocusForm(defaults) {
+  const title = document.createElement("div");
+  title.className = "focus-title";
+  title.textContent = "🎯 Focus session: only allow";
+
+  const picked = new Set(defaults.categories);
+  const buttons = document.createElement("div");
+  buttons.className = "channel-buttons";
+  categories.forEach((cat) => {
+    const button = document.createElement("button");
+    button.textContent = cat.emoji || cat.name.charAt(0);
+    button.title = cat.name;
+    button.classList.toggle("selected", picked.has(cat.id));
+    button.addEventListener("click", () => {
+      if (!picked.delete(cat.id)) picked.add(cat.id);
+      button.classList.toggle("selected", picked.has(cat.id));
+    });
+    buttons.appendChild(button);
+  });
+
+  const fields = document.createElement("div");
+  fields.className = "focus-fields";
+  const inputs = {};
+  [
+    ["focusMinutes", "Focus (min)", 1],
+    ["breakMinutes", "Break (min)", 0],
+    ["rounds", "Rounds", 1],
+  ].forEach(([key, text, min]) => {
+    const label = document.createElement("label");
+    label.textContent = text;
+    inputs[key] = document.createElement("input");
+    inputs[key].type = "number";
+    inputs[key].min = min;
+    inputs[key].value = defaults[key];
+    label.appendChild(inputs[key]);
+    fields.appendChild(label);
+  });
+
+  const error = document.createElement("div");
+  error.className = "focus-error";
+  const start = document.createElement("button");
+  start.className = "focus-button";
+  start.textContent = "Start focusing";
+  start.addEventListener("click", () => {
+    const options = { categories: [...picked] };
+    for (const key in inputs) options[key] = parseFloat(inputs[key].value);
+    chrome.runtime.sendMessage(
+      { action: "startFocusSession", options },
+      (response) => {
+        if (chrome.runtime.lastError || !response) return;
+        if (!response.success) {
+          error.textContent = response.error;
+          return;
+        }
+        renderRunningFocus(response.session, options);
+      }
+    );
+  });
+  focusEl.replaceChildren(title, buttons, fields, error, start);
+}
+
+/**
+ * The countdown of the running session, updated every second.
+ * @param {object} session - See FocusSession in focus.js.
+ * @param {object} defaults - For the form, once it ends.
+ */
+function renderRunningFocus(session, defaults) {
+  const names = session.categories.map((id) => {
+    const cat = categories.find((c) => c.id === id);
+    return cat ? `${cat.emoji || ""} ${cat.name}`.trim() : id;
+  });
+  const title = document.createElement("div");
+  title.className = "focus-title";
+  const allowed = document.createElement("div");
+  allowed.className = "channel-label";
+  allowed.textContent =
+    session.phase === "break"
+      ? "Usual limits until the break is over."
+      : `Only ${names.join(", ")}`;
+
+  const updateCountdown = () => {
+    const msLeft = Math.max(0, session.phaseEndsAt - Date.now());
+    const mins = Math.floor(msLeft / MIN_TO_MS);
+    const secs = String(Math.floor((msLeft % MIN_TO_MS) / 1000)).padStart(
+      2,
+      "0"
+    );
+    const round =
+      session.rounds > 1 ? ` · round ${session.round}/${session.rounds}` : "";
+    title.textContent = `${
+      session.phase === "break" ? "☕ Break" : "🎯 Focus"
+    }: ${mins}:${secs} left${round}`;
+    // The background moves it on to the next phase, follow it
+    if (!msLeft) {
+      clearInterval(countdownInterval);
+      setTimeout(() => renderFocusSession(defaults), 1000);
+    }
+  };
+  const countdownInterval = setInterval(updateCountdown, 1000);
+  updateCountdown();
+
+  const stop = document.createElement("button");
+  stop.className = "focus-button";
+  stop.textContent = "End session";
+  stop.addEventListener("click", () => {
+    clearInterval(countdownInterval);
+    chrome.runtime.sendMessage({ action: "stopFocusSession" }, () =>
+      renderFocusForm(defaults)
+    );
+  });
+  focusEl.replaceChildren(title, allowed, stop);
+}
+
+/**
+ * Creates one button and one stat row per category.
+ */
+function renderCategories() {
+  buttonsEl.innerHTML = "";
+  statsEl.innerHTML = "";
+
+  categories.forEach((cat) => {
+    const button = document.createElement("button");
+    button.id = `btn-${cat.id}`;
+    button.title = cat.name;
+    button.textContent = cat.emoji || cat.name.charAt(0);
+    buttonsEl.appendChild(button);
+
+    const row = document.createElement("div");
+    row.className = "stat-item";
+    const label = document.createElement("span");
+    label.className = "stat-label";
+    label.textContent = `${cat.emoji || ""} ${cat.name}:`;
+    const value = document.createElement("span");
+    value.className = "stat-value";
+    value.id = `stats-${cat.id}`;
+    value.textContent = "Loading...";
+    row.append(label, value);
+    // Remaining weekly / rolling budget, if the category has one
+    const budgets = document.createElement("div");
+    budgets.className = "stat-budgets";
+    budgets.id = `budgets-${cat.id}`;
+    // Progress towards today's goal, if the category has one
+    const goal = document.createElement("div");
+    goal.className = "stat-goal";
+    goal.id = `goal-${cat.id}`;
+    statsEl.append(row, budgets, goal);
+  });
+}
+
+/**
+ * Shows how far a category is towards today's goal, e.g. "🎯 30 / 45 min".
+ * @param {string} categoryId
+ * @param {number} doneMs - Time counted today.
+ * @param {number|null} [goal] - Today's goal in minutes, if any.
+ */
+function renderGoalProgress(categoryId, doneMs, goal) {
+  const goalEl = document.getElementById(`goal-${categoryId}`);
+  goalEl.innerHTML = "";
+  if (!goal) return;
+
+  const doneMins = doneMs / MIN_TO_MS;
+  const text = document.createElement("span");
+  text.textContent =
+    doneMins >= goal
+      ? `🎯 Goal of ${goal} min reached!`
+      : `🎯 ${Math.floor(doneMins)} / ${goal} min goal`;
+  const bar = document.createElement("div");
+  bar.className = "goal-bar";
+  bar.style.setProperty(
+    "--progress",
+    `${Math.min(100, (doneMins / goal) * 100)}%`
+  );
+  goalEl.append(text, bar);
+}
+
 /**
  * Updates the stats display
  */
 async function updateStatsDisplay() {
   chrome.runtime.sendMessage({ action: "getLiveStats" }, (response) => {
+    const valueEls = statsEl.querySelectorAll(".stat-value");
     if (
       chrome.runtime.lastError ||
       !response ||
@@ -135,69 +403,67 @@ async function updateStatsDisplay() {
         "Error getting live stats or limits (background script might be waking up):",
         chrome.runtime.lastError
       );
-      trashEl.textContent = "Loading...";
-      interestingEl.textContent = "Loading...";
-      curriculumEl.textContent = "Loading...";
-      phdEl.textContent = "Loading...";
+      valueEls.forEach((el) => (el.textContent = "Loading..."));
       return; // Fail gracefully
     }
 
-    const { stats, limits } = response;
+    const { stats, limits, budgets, goals } = response;
     const msToMins = (ms) => (ms / MIN_TO_MS).toFixed(2);
 
-    trashEl.textContent = `${msToMins(stats.trash)} / ${limits.trash || 0} min`;
-    interestingEl.textContent = `${msToMins(stats.interesting)} / ${
-      limits.interesting || 0
-    } min`;
-    curriculumEl.textContent = `${msToMins(stats.curriculum)} / ${
-      limits.curriculum || 0
-    } min`;
-    phdEl.textContent = `${msToMins(stats.phd)} min`;
+    categories.forEach((cat) => {
+      const valueEl = document.getElementById(`stats-${cat.id}`);
+      if (!valueEl) return;
+      valueEl.textContent = `${msToMins(stats[cat.id] || 0)} / ${
+        limits[cat.id] || 0
+      } min`;
+
+      document.getElementById(`budgets-${cat.id}`).textContent =
+        describeRemainingBudgets(budgets?.[cat.id], ["weekly", "rolling"]);
+      renderGoalProgress(cat.id, stats[cat.id] || 0, goals?.[cat.id]);
+    });
   });
 }
 
 /**
  * Wires up the buttons to send messages and close the popup.
+ * Uncategorized tabs start a timer; categorized tabs are recategorized,
+ * which also teaches the AI when it picked the old category.
  */
 function addClickListeners(tabId) {
-  const buttons = [
-    { id: "btn-trash", category: "trash" },
-    { id: "btn-interesting", category: "interesting" },
-    { id: "btn-curriculum", category: "curriculum" },
-    { id: "btn-phd", category: "phd" },
-  ];
-
-  buttons.forEach((buttonInfo) => {
-    document.getElementById(buttonInfo.id).addEventListener("click", () => {
-      chrome.runtime.sendMessage(
-        {
-          action: "startTimer",
-          category: buttonInfo.category,
-          tabId: tabId,
-        },
-        () => {
-          window.close(); // Close the popup after clicking
-        }
-      );
+  categories.forEach((cat) => {
+    document.getElementById(`btn-${cat.id}`).addEventListener("click", () => {
+      const message = currentCategory
+        ? { action: "recategorize", category: cat.id, tabId: tabId }
+        : {
+            action: "startTimer",
+            category: cat.id,
+            tabId: tabId,
+            source: "user",
+          };
+      currentCategory = cat.id;
+      chrome.runtime.sendMessage(message, () => {
+        window.close(); // Close the popup after clicking
+      });
     });
   });
 }
 
 /**
- * Disables buttons and shows the already-selected category.
+ * Highlights the already-selected category. The other buttons stay
+ * enabled so the category can be corrected.
+ * @param {string} category
+ * @param {string} [suggestedBy] - Who just picked it, e.g. "AI" or "Rule".
  */
-function showCategorizedUI(category) {
-  const categoryToEmoji = {
-    trash: "🗑️",
-    interesting: "💡",
-    curriculum: "🎓",
-    phd: "🔬",
-  };
+function showCategorizedUI(category, suggestedBy) {
+  const cat = categories.find((c) => c.id === category);
+  const label = cat ? cat.emoji || cat.name : category;
 
-  statusEl.textContent = `Categorized as: ${categoryToEmoji[category] || ""}`;
+  currentCategory = category;
+  const prefix = suggestedBy ? `${suggestedBy} suggests` : "Categorized as";
+  statusEl.textContent = `${prefix}: ${label || ""} (click to correct)`;
 
   allButtons.forEach((btn) => {
-    btn.disabled = true;
+    btn.disabled = btn.id === `btn-${category}`;
     if (btn.id === `btn-${category}`) {
       btn.classList.add("selected");
     } else {
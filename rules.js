@@ -0,0 +1,167 @@
+// --- CATEGORIZATION RULES ---
+// An ordered list of user rules, checked before the AI is asked. The first
+// enabled rule that matches decides the category. The channel lists (a
+// category's `channels` and the `blockedChannels` of the settings) are
+// checked right after the rules.
+// Loaded by the service worker (importScripts), the popup and the settings page.
+
+/**
+ * @typedef {object} Rule
+ * @property {string} id
+ * @property {"title"|"channel"|"url"|"keyword"} type
+ * @property {string} pattern
+ * @property {string} category - Category id to assign.
+ * @property {boolean} enabled
+ */
+
+/**
+ * Turns a URL pattern with `*` wildcards into an anchored regex,
+ * e.g. "*youtube.com/watch?v=abc*".
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function wildcardToRegExp(pattern) {
+  const escaped = pattern
+    .trim()
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+const RULE_TYPES = {
+  title: {
+    label: "Title matches regex",
+    matches: (pattern, video) => new RegExp(pattern, "i").test(video.title),
+  },
+  channel: {
+    label: "Channel name or ID is",
+    matches: (pattern, video) => channelMatches(pattern, video),
+  },
+  url: {
+    label: "URL matches pattern",
+    matches: (pattern, video) => wildcardToRegExp(pattern).test(video.url),
+  },
+  keyword: {
+    label: "Title contains keyword",
+    matches: (pattern, video) =>
+      video.title.toLowerCase().includes(pattern.trim().toLowerCase()),
+  },
+};
+
+/**
+ * Checks one rule against a video. Broken rules (e.g. an invalid regex)
+ * never match.
+ * @param {Rule} rule
+ * @param {object} video - `{ title, channel, channelId, url }`
+ * @returns {boolean}
+ */
+function ruleMatches(rule, video) {
+  const type = RULE_TYPES[rule.type];
+  if (!type || !rule.pattern || !rule.pattern.trim()) return false;
+  try {
+    return type.matches(rule.pattern, {
+      title: video.title || "",
+      channel: video.channel || "",
+      channelId: video.channelId || "",
+      url: video.url || "",
+    });
+  } catch (err) {
+    console.warn(`Skipping broken rule "${rule.pattern}":`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Returns the first enabled rule that matches the video and points to an
+ * existing category, or null.
+ * @param {Rule[]} rules
+ * @param {object} video
+ * @param {string[]} categoryIds
+ * @returns {Rule|null}
+ */
+function findMatchingRule(rules, video, categoryIds) {
+  return (
+    (rules || []).find(
+      (rule) =>
+        rule.enabled !== false &&
+        categoryIds.includes(rule.category) &&
+        ruleMatches(rule, video)
+    ) || null
+  );
+}
+
+/**
+ * A short, human readable description, stored in the history.
+ * @param {Rule} rule
+ * @returns {string}
+ */
+function describeRule(rule) {
+  const type = RULE_TYPES[rule.type];
+  return `${type ? type.label : rule.type} "${rule.pattern}"`;
+}
+
+// --- CHANNEL LISTS ---
+// Can't collide with a category id, see createCategoryId() in settings.js
+const CHANNEL_BLOCK_TARGET = "#block";
+
+/**
+ * Whether a channel list entry names the item's channel, by name or ID
+ * (case-insensitive).
+ * @param {string} entry - e.g. "@veritasium", "UCHnyfMqiRRG1u-2MsSQLbXA" or
+ *   "Veritasium".
+ * @param {object} item - `{ channel, channelId }`
+ * @returns {boolean}
+ */
+function channelMatches(entry, item) {
+  const wanted = entry.trim().toLowerCase();
+  return (
+    wanted !== "" &&
+    [item.channel, item.channelId].some(
+      (value) => value && value.toLowerCase() === wanted
+    )
+  );
+}
+
+/**
+ * @param {string[]} blockedChannels - See DEFAULT_SETTINGS.blockedChannels.
+ * @param {object} item
+ * @returns {boolean}
+ */
+function isChannelBlocked(blockedChannels, item) {
+  return (blockedChannels || []).some((entry) => channelMatches(entry, item));
+}
+
+/**
+ * The first category whose channel list has the item's channel.
+ * @param {object[]} categories
+ * @param {object} item
+ * @returns {string|null} The category id.
+ */
+function findChannelCategory(categories, item) {
+  const category = categories.find((cat) =>
+    (cat.channels || []).some((entry) => channelMatches(entry, item))
+  );
+  return category ? category.id : null;
+}
+
+/**
+ * Puts a channel on one list, taking it off all the others.
+ * @param {object} settings - Normalized settings, changed in place.
+ * @param {object} item - `{ channel, channelId }`; the ID is stored if known.
+ * @param {string|null} target - A category id, CHANNEL_BLOCK_TARGET for
+ *   the block list or null to only take it off the lists.
+ */
+function setChannelList(settings, item, target) {
+  const entry = item.channelId || item.channel;
+  const others = (list) =>
+    (list || []).filter((other) => !channelMatches(other, item));
+
+  settings.blockedChannels = others(settings.blockedChannels);
+  settings.categories.forEach((cat) => (cat.channels = others(cat.channels)));
+  if (target === CHANNEL_BLOCK_TARGET) {
+    settings.blockedChannels.push(entry);
+  } else if (target) {
+    settings.categories.find((cat) => cat.id === target)?.channels.push(entry);
+  }
+}
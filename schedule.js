@@ -0,0 +1,183 @@
+// --- CATEGORY SCHEDULES ---
+// When a category may be watched, on top of its time budgets. Each category
+// can have a list of time windows: "allow" windows (if any exist, the
+// category is only available inside one of them) and "block" windows (never
+// available inside). Times are local; a window whose end is before its start
+// runs past midnight. A separate `weekendLimit` replaces the daily limit on
+// Saturdays and Sundays, and an optional `goal` is the minimum to reach on
+// the `goalDays`.
+// Loaded by the service worker (importScripts) and the settings page.
+
+/**
+ * @typedef {object} ScheduleWindow
+ * @property {"allow"|"block"} type
+ * @property {number[]} days - Days the window starts on, 0 = Sunday.
+ * @property {string} start - "HH:MM"
+ * @property {string} end - "HH:MM"
+ */
+
+// Monday first, as shown in the settings page
+const SCHEDULE_DAYS = [
+  { day: 1, label: "Mon" },
+  { day: 2, label: "Tue" },
+  { day: 3, label: "Wed" },
+  { day: 4, label: "Thu" },
+  { day: 5, label: "Fri" },
+  { day: 6, label: "Sat" },
+  { day: 0, label: "Sun" },
+];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+function parseTimeOfDay(text) {
+  const [hours, minutes] = (text || "0:0").split(":").map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+/**
+ * Whether a moment falls inside a window. Windows include their start
+ * minute and exclude their end minute.
+ * @param {ScheduleWindow} timeWindow
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isInScheduleWindow(timeWindow, date) {
+  const start = parseTimeOfDay(timeWindow.start);
+  const end = parseTimeOfDay(timeWindow.end);
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+
+  if (start < end) {
+    return timeWindow.days.includes(day) && minute >= start && minute < end;
+  }
+  // Runs past midnight: the early part belongs to the previous day's window
+  const previousDay = (day + 6) % 7;
+  return (
+    (timeWindow.days.includes(day) && minute >= start) ||
+    (timeWindow.days.includes(previousDay) && minute < end)
+  );
+}
+
+/**
+ * Whether the schedule lets the category be watched at this moment.
+ * @param {object} category
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+function isScheduleOpen(category, date = new Date()) {
+  const schedule = category.schedule || [];
+  const allowWindows = schedule.filter((w) => w.type === "allow");
+  if (
+    allowWindows.length &&
+    !allowWindows.some((w) => isInScheduleWindow(w, date))
+  ) {
+    return false;
+  }
+  return !schedule.some(
+    (w) => w.type === "block" && isInScheduleWindow(w, date)
+  );
+}
+
+/**
+ * The next moment the schedule opens again, looking up to a week ahead.
+ * Availability only changes at window boundaries, so only those are checked.
+ * @param {object} category
+ * @param {Date} [now]
+ * @returns {Date|null} null if it never opens.
+ */
+function getNextScheduleOpening(category, now = new Date()) {
+  const candidates = [];
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(now);
+    day.setDate(now.getDate() + offset);
+    for (const timeWindow of category.schedule || []) {
+      for (const time of [timeWindow.start, timeWindow.end]) {
+        const minutes = parseTimeOfDay(time);
+        const candidate = new Date(day);
+        candidate.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+        if (candidate > now) candidates.push(candidate);
+      }
+    }
+  }
+  candidates.sort((a, b) => a - b);
+  return candidates.find((date) => isScheduleOpen(category, date)) || null;
+}
+
+/**
+ * e.g. "Mon–Fri 09:00–17:00" or "every day 19:00–22:00".
+ * @param {ScheduleWindow} timeWindow
+ * @returns {string}
+ */
+function describeScheduleWindow(timeWindow) {
+  const days = [...timeWindow.days].sort().join(",");
+  let dayText;
+  if (timeWindow.days.length === 7) dayText = "every day";
+  else if (days === WEEKDAYS.join(",")) dayText = "Mon–Fri";
+  else if (days === "0,6") dayText = "weekends";
+  else {
+    dayText = SCHEDULE_DAYS.filter((d) => timeWindow.days.includes(d.day))
+      .map((d) => d.label)
+      .join(", ");
+  }
+  return `${dayText} ${timeWindow.start}–${timeWindow.end}`;
+}
+
+/**
+ * Why the schedule blocks the category right now, including when it
+ * becomes available again, or null if it's open.
+ * @param {object} category
+ * @param {Date} [now]
+ * @returns {string|null}
+ */
+function getScheduleBlockReason(category, now = new Date()) {
+  if (isScheduleOpen(category, now)) return null;
+
+  const schedule = category.schedule || [];
+  const blockWindow = schedule.find(
+    (w) => w.type === "block" && isInScheduleWindow(w, now)
+  );
+  const reason = blockWindow
+    ? `${category.name} is blocked ${describeScheduleWindow(blockWindow)}.`
+    : `${category.name} is only allowed ${schedule
+        .filter((w) => w.type === "allow")
+        .map(describeScheduleWindow)
+        .join(", ")}.`;
+
+  const opensAt = getNextScheduleOpening(category, now);
+  if (!opensAt) return reason;
+  const day =
+    opensAt.toDateString() === now.toDateString()
+      ? ""
+      : `${opensAt.toLocaleDateString([], { weekday: "long" })} `;
+  const time = opensAt.toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+  return `${reason} Available again ${day}at ${time}.`;
+}
+
+/**
+ * The daily limit in minutes that applies on a given day.
+ * @param {object} category
+ * @param {Date} [date]
+ * @returns {number}
+ */
+function getDailyLimit(category, date = new Date()) {
+  const isWeekend = date.getDay() === 0 || date.getDay() === 6;
+  if (isWeekend && typeof category.weekendLimit === "number") {
+    return category.weekendLimit;
+  }
+  return category.limit;
+}
+
+/**
+ * The minimum minutes to reach on a given day, if the category has a goal
+ * that day. Categories saved before goals had days apply them every day.
+ * @param {object} category
+ * @param {Date} [date]
+ * @returns {number|null}
+ */
+function getDailyGoal(category, date = new Date()) {
+  if (typeof category.goal !== "number" || category.goal <= 0) return null;
+  const days = category.goalDays || SCHEDULE_DAYS.map((d) => d.day);
+  return days.includes(date.getDay()) ? category.goal : null;
+}
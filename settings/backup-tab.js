@@ -0,0 +1,174 @@
+// --- BACKUP TAB ---
+// createBackup(), validateBackup(), planImport(), applyImport() and
+// createStatsCsv() come from ../backup.js, getSyncState() from ../sync.js
+
+let importFileInput, importPreview, importButton, importResult;
+let pendingImport = null; // The parsed, validated backup waiting to be imported
+
+document.addEventListener("DOMContentLoaded", () => {
+  importFileInput = document.getElementById("import-file");
+  importPreview = document.getElementById("import-preview");
+  importButton = document.getElementById("import-button");
+  importResult = document.getElementById("import-result");
+
+  document
+    .getElementById("export-json-button")
+    .addEventListener("click", async () => {
+      const backup = await createBackup();
+      downloadFile(
+        `focusme-backup-${getDateKey()}.json`,
+        JSON.stringify(backup, null, 2),
+        "application/json"
+      );
+    });
+  document
+    .getElementById("export-csv-button")
+    .addEventListener("click", async () => {
+      downloadFile(
+        `focusme-stats-${getDateKey()}.csv`,
+        await createStatsCsv(),
+        "text/csv"
+      );
+    });
+
+  importFileInput.addEventListener("change", readImportFile);
+  document
+    .querySelectorAll('input[name="import-mode"]')
+    .forEach((radio) => radio.addEventListener("change", renderImportPreview));
+  importButton.addEventListener("click", runImport);
+
+  document
+    .querySelector('.tab-link[data-tab="tab-backup"]')
+    .addEventListener("click", renderSyncStatus);
+  renderSyncStatus();
+});
+
+/**
+ * Shows when this device last synced, with how many others, how much of the
+ * sync quota is used and why the last sync failed, if it did.
+ */
+async function renderSyncStatus() {
+  const state = await getSyncState();
+  const items = await chrome.storage.sync.get(null);
+  const otherDevices = Object.keys(items).filter(
+    (key) =>
+      key.startsWith(SYNC_STATS_PREFIX) &&
+      key !== SYNC_STATS_PREFIX + state.deviceId
+  ).length;
+  const usedPercent = Math.round(
+    ((await chrome.storage.sync.getBytesInUse(null)) /
+      chrome.storage.sync.QUOTA_BYTES) *
+      100
+  );
+
+  const parts = [
+    state.lastSyncAt
+      ? `Last synced ${new Date(state.lastSyncAt).toLocaleString()}`
+      : "Not synced yet",
+    `${otherDevices} other device${otherDevices === 1 ? "" : "s"}`,
+    `${usedPercent}% of the sync storage used`,
+  ];
+  const status = document.getElementById("sync-status");
+  status.className = state.error ? "test-error" : "";
+  status.textContent = state.error
+    ? `❌ ${state.error}. Retrying every minute. ${parts.join(" · ")}`
+    : parts.join(" · ");
+}
+
+/**
+ * Saves text as a file through a temporary download link.
+ */
+function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function getImportMode() {
+  return document.querySelector('input[name="import-mode"]:checked').value;
+}
+
+/**
+ * Parses and validates the chosen file, then shows what importing it would do.
+ */
+async function readImportFile() {
+  pendingImport = null;
+  importResult.textContent = "";
+  const file = importFileInput.files[0];
+  if (!file) return renderImportPreview();
+
+  let backup;
+  try {
+    backup = JSON.parse(await file.text());
+  } catch (e) {
+    importPreview.textContent = "❌ This file isn't valid JSON.";
+    importButton.disabled = true;
+    return;
+  }
+
+  const { errors, warnings } = validateBackup(backup);
+  if (errors.length) {
+    importPreview.innerHTML = "";
+    errors.forEach((error) => appendNote(importPreview, `❌ ${error}`));
+    importButton.disabled = true;
+    return;
+  }
+  pendingImport = { backup, warnings };
+  renderImportPreview();
+}
+
+async function renderImportPreview() {
+  importPreview.innerHTML = "";
+  importButton.disabled = true;
+  if (!pendingImport) return;
+
+  const { backup, warnings } = pendingImport;
+  const plan = await planImport(backup, getImportMode());
+  appendNote(
+    importPreview,
+    `Backup from ${new Date(backup.exportedAt).toLocaleString()}:`
+  );
+
+  const list = document.createElement("ul");
+  plan.summary.forEach(({ label, added, changed, removed }) => {
+    if (!added && !changed && !removed) return;
+    const parts = [];
+    if (added) parts.push(`${added} added`);
+    if (changed) parts.push(`${changed} updated`);
+    if (removed) parts.push(`${removed} removed`);
+    const item = document.createElement("li");
+    item.textContent = `${label}: ${parts.join(", ")}`;
+    list.appendChild(item);
+  });
+  if (list.children.length) importPreview.appendChild(list);
+  else appendNote(importPreview, "Nothing would change.");
+
+  warnings.forEach((warning) => appendNote(importPreview, `⚠️ ${warning}`));
+  importButton.disabled = !list.children.length;
+}
+
+function appendNote(container, text) {
+  const note = document.createElement("p");
+  note.textContent = text;
+  container.appendChild(note);
+}
+
+async function runImport() {
+  if (!pendingImport) return;
+  const mode = getImportMode();
+  if (
+    mode === "replace" &&
+    !confirm("Replace all your FocusMe data with this backup?")
+  ) {
+    return;
+  }
+
+  importButton.disabled = true;
+  await applyImport(await planImport(pendingImport.backup, mode));
+  importResult.textContent = "✅ Imported. Reloading...";
+  // Every tab reads its data on load
+  setTimeout(() => location.reload(), 1000);
+}
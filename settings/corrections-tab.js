@@ -0,0 +1,130 @@
+// --- AI CORRECTIONS TAB ---
+// getCorrections()/saveCorrections() come from ../corrections.js,
+// SETTINGS_KEY and getUserSettings() from ../shared.js
+
+let correctionsList, correctionsEmpty, maxExamplesInput;
+let correctionCategories = [];
+
+document.addEventListener("DOMContentLoaded", async () => {
+  correctionsList = document.getElementById("corrections-list");
+  correctionsEmpty = document.getElementById("corrections-empty");
+  maxExamplesInput = document.getElementById("max-correction-examples");
+
+  const settings = await getUserSettings();
+  correctionCategories = settings.categories;
+  maxExamplesInput.value = settings.maxCorrectionExamples;
+
+  // The cap is saved as soon as it changes, like the corrections themselves
+  maxExamplesInput.addEventListener("change", async () => {
+    const current = await getUserSettings();
+    current.maxCorrectionExamples = Math.max(
+      0,
+      parseInt(maxExamplesInput.value) || 0
+    );
+    await chrome.storage.local.set({ [SETTINGS_KEY]: current });
+  });
+
+  document
+    .querySelector('.tab-link[data-tab="tab-corrections"]')
+    .addEventListener("click", renderCorrections);
+
+  renderCorrections();
+});
+
+/**
+ * Builds a <select> of the user's categories.
+ * @param {string} selected - Category id to preselect.
+ * @returns {HTMLSelectElement}
+ */
+function createCategorySelect(selected) {
+  const select = document.createElement("select");
+  correctionCategories.forEach((cat) => {
+    const option = document.createElement("option");
+    option.value = cat.id;
+    option.textContent = `${cat.emoji || ""} ${cat.name}`;
+    select.appendChild(option);
+  });
+  // Keep showing categories that were deleted since
+  if (!correctionCategories.some((cat) => cat.id === selected)) {
+    const option = document.createElement("option");
+    option.value = selected;
+    option.textContent = `${selected} (deleted)`;
+    select.appendChild(option);
+  }
+  select.value = selected;
+  return select;
+}
+
+/**
+ * Applies a change to one stored correction and saves the list.
+ * @param {string} id
+ * @param {(correction: object) => void} update
+ */
+async function updateCorrection(id, update) {
+  const corrections = await getCorrections();
+  const correction = corrections.find((c) => c.id === id);
+  if (!correction) return;
+  update(correction);
+  await saveCorrections(corrections);
+}
+
+async function deleteCorrection(id) {
+  const corrections = await getCorrections();
+  await saveCorrections(corrections.filter((c) => c.id !== id));
+  renderCorrections();
+}
+
+/**
+ * Re-reads the stored corrections and lists them newest first.
+ */
+async function renderCorrections() {
+  const corrections = (await getCorrections()).slice().reverse();
+
+  correctionsList.innerHTML = "";
+  correctionsEmpty.style.display = corrections.length ? "none" : "block";
+
+  corrections.forEach((correction) => {
+    const row = document.createElement("tr");
+
+    const titleCell = document.createElement("td");
+    const titleInput = document.createElement("input");
+    titleInput.type = "text";
+    titleInput.className = "correction-title-input";
+    titleInput.value = correction.title;
+    titleInput.addEventListener("change", () =>
+      updateCorrection(correction.id, (c) => (c.title = titleInput.value))
+    );
+    titleCell.appendChild(titleInput);
+
+    const wrongCell = document.createElement("td");
+    const wrongSelect = createCategorySelect(correction.wrongCategory);
+    wrongSelect.addEventListener("change", () =>
+      updateCorrection(
+        correction.id,
+        (c) => (c.wrongCategory = wrongSelect.value)
+      )
+    );
+    wrongCell.appendChild(wrongSelect);
+
+    const correctCell = document.createElement("td");
+    const correctSelect = createCategorySelect(correction.correctCategory);
+    correctSelect.addEventListener("change", () =>
+      updateCorrection(
+        correction.id,
+        (c) => (c.correctCategory = correctSelect.value)
+      )
+    );
+    correctCell.appendChild(correctSelect);
+
+    const deleteCell = document.createElement("td");
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "delete-category-btn";
+    deleteBtn.title = "Delete this example";
+    deleteBtn.innerHTML = "&times;";
+    deleteBtn.addEventListener("click", () => deleteCorrection(correction.id));
+    deleteCell.appendChild(deleteBtn);
+
+    row.append(titleCell, wrongCell, correctCell, deleteCell);
+    correctionsList.appendChild(row);
+  });
+}
@@ -0,0 +1,107 @@
+// --- HISTORY TAB ---
+// getHistory() comes from ../history.js, getUserSettings() from ../shared.js
+
+let historyDateInput, historyCategorySelect, historyList, historyEmpty;
+let historyCategories = [];
+
+document.addEventListener("DOMContentLoaded", async () => {
+  historyDateInput = document.getElementById("history-date");
+  historyCategorySelect = document.getElementById("history-category");
+  historyList = document.getElementById("history-list");
+  historyEmpty = document.getElementById("history-empty");
+
+  const settings = await getUserSettings();
+  historyCategories = settings.categories;
+  // Default to today's videos
+  historyDateInput.value = getDateKey(new Date(), settings.dayStartHour);
+
+  historyCategories.forEach((cat) => {
+    const option = document.createElement("option");
+    option.value = cat.id;
+    option.textContent = `${cat.emoji || ""} ${cat.name}`;
+    historyCategorySelect.appendChild(option);
+  });
+
+  historyDateInput.addEventListener("change", renderHistory);
+  historyCategorySelect.addEventListener("change", renderHistory);
+  document.getElementById("history-all-dates").addEventListener("click", () => {
+    historyDateInput.value = "";
+    renderHistory();
+  });
+  // Refresh whenever the tab is opened, new videos may have been timed since
+  document
+    .querySelector('.tab-link[data-tab="tab-history"]')
+    .addEventListener("click", renderHistory);
+
+  renderHistory();
+});
+
+/**
+ * Formats milliseconds as "12m 05s".
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}m ${seconds}s`;
+}
+
+/**
+ * Re-reads the history from storage and fills the table using the filters.
+ */
+async function renderHistory() {
+  const category = historyCategorySelect.value;
+  let entries = await getHistory(historyDateInput.value);
+  if (category) entries = entries.filter((e) => e.category === category);
+
+  historyList.innerHTML = "";
+  historyEmpty.style.display = entries.length ? "none" : "block";
+
+  entries.forEach((entry) => {
+    const row = document.createElement("tr");
+
+    const startedCell = document.createElement("td");
+    startedCell.textContent = new Date(entry.startTime).toLocaleString();
+
+    const videoCell = document.createElement("td");
+    const link = document.createElement("a");
+    link.href = entry.url;
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.textContent =
+      entry.title || entry.itemId || entry.videoId || entry.url;
+    videoCell.appendChild(link);
+
+    const channelCell = document.createElement("td");
+    channelCell.textContent = entry.channel || "—";
+
+    const categoryCell = document.createElement("td");
+    const cat = historyCategories.find((c) => c.id === entry.category);
+    const badge = document.createElement("span");
+    badge.className = "category-badge";
+    badge.style.backgroundColor = cat ? cat.color : "";
+    badge.textContent = cat
+      ? `${cat.emoji || ""} ${cat.name}`
+      : `${entry.category} (deleted)`;
+    const source = document.createElement("span");
+    source.className = "source-label";
+    const sourceLabels = {
+      ai: ["AI", "Categorized by the AI"],
+      rule: ["Rule", `Categorized by rule: ${entry.rule?.description}`],
+      channel: ["Channel", "Categorized by your channel lists"],
+      user: ["You", "Categorized by you"],
+      shorts: ["Shorts", "Counted by your YouTube Shorts policy"],
+    };
+    [source.textContent, source.title] =
+      sourceLabels[entry.source] || sourceLabels.user;
+    categoryCell.append(badge, source);
+
+    const durationCell = document.createElement("td");
+    durationCell.textContent = formatDuration(entry.durationMs);
+
+    row.append(startedCell, videoCell, channelCell, categoryCell, durationCell);
+    historyList.appendChild(row);
+  });
+}
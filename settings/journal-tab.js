@@ -0,0 +1,159 @@
+// --- JOURNAL TAB ---
+// getJournalEntries(), getJournalEntry(), saveJournalEntry() and
+// generateJournalEntry() come from ../journal.js,
+// SETTINGS_KEY, getUserSettings() and getDateKey() from ../shared.js
+
+let journalList, journalEmpty, journalDateInput, journalStatus;
+let journalCategories = [];
+
+document.addEventListener("DOMContentLoaded", async () => {
+  journalList = document.getElementById("journal-list");
+  journalEmpty = document.getElementById("journal-empty");
+  journalDateInput = document.getElementById("journal-date");
+  journalStatus = document.getElementById("journal-status");
+
+  const settings = await getUserSettings();
+  journalCategories = settings.categories;
+  // Default to the day that just ended
+  const yesterday = getDayStart(new Date(), settings.dayStartHour);
+  yesterday.setDate(yesterday.getDate() - 1);
+  journalDateInput.value = getDateKey(yesterday, settings.dayStartHour);
+
+  // The journal options are saved as soon as they change
+  const autoInput = document.getElementById("journal-auto");
+  const titlesInput = document.getElementById("journal-titles");
+  autoInput.checked = settings.journal.auto;
+  titlesInput.checked = settings.journal.includeTitles;
+  [autoInput, titlesInput].forEach((input) =>
+    input.addEventListener("change", async () => {
+      const current = await getUserSettings();
+      current.journal = {
+        auto: autoInput.checked,
+        includeTitles: titlesInput.checked,
+      };
+      await chrome.storage.local.set({ [SETTINGS_KEY]: current });
+    })
+  );
+
+  document
+    .getElementById("journal-generate")
+    .addEventListener("click", () => writeQuestions(journalDateInput.value));
+  document
+    .querySelector('.tab-link[data-tab="tab-journal"]')
+    .addEventListener("click", renderJournal);
+
+  renderJournal();
+});
+
+/**
+ * Asks the AI for new questions about a day, after confirming if that
+ * would throw away answers.
+ * @param {string} dateKey - "YYYY-MM-DD"
+ */
+async function writeQuestions(dateKey) {
+  if (!dateKey) return;
+  const existing = await getJournalEntry(dateKey);
+  if (
+    existing?.answers.some(Boolean) &&
+    !confirm("Replace this day's questions? Your answers will be lost.")
+  ) {
+    return;
+  }
+
+  journalStatus.className = "";
+  journalStatus.textContent = "Asking the AI...";
+  try {
+    await generateJournalEntry(dateKey);
+    journalStatus.textContent = "";
+  } catch (err) {
+    journalStatus.className = "test-error";
+    journalStatus.textContent = `❌ ${err.message}`;
+  }
+  renderJournal();
+}
+
+/**
+ * Saves one answer of a day's entry.
+ */
+async function saveJournalAnswer(dateKey, index, answer) {
+  const entry = await getJournalEntry(dateKey);
+  if (!entry) return;
+  entry.answers[index] = answer;
+  await saveJournalEntry(entry);
+}
+
+/**
+ * Describes a day's stats, e.g. "🗑️ Trash 12 min · 💡 Interesting 40 min".
+ * @param {Object<string, number>} stats - The day's `{ [categoryId]: ms }`.
+ */
+function describeDayStats(stats) {
+  const parts = Object.keys(stats)
+    .filter((categoryId) => stats[categoryId] > 0)
+    .map((categoryId) => {
+      const cat = journalCategories.find((c) => c.id === categoryId);
+      const name = cat ? `${cat.emoji || ""} ${cat.name}` : categoryId;
+      return `${name.trim()} ${Math.round(stats[categoryId] / MIN_TO_MS)} min`;
+    });
+  return parts.join(" · ") || "Nothing tracked.";
+}
+
+/**
+ * Re-reads the journal and lists every day, newest first, with its stats,
+ * questions and answers.
+ */
+async function renderJournal() {
+  const entries = await getJournalEntries();
+  const stats = await chrome.storage.local.get(entries.map((e) => e.dateKey));
+
+  journalList.innerHTML = "";
+  journalEmpty.style.display = entries.length ? "none" : "block";
+
+  entries.forEach((entry) => {
+    const card = document.createElement("div");
+    card.className = "setting-card journal-entry";
+
+    const header = document.createElement("div");
+    header.className = "journal-header";
+    const title = document.createElement("h3");
+    title.textContent = new Date(`${entry.dateKey}T12:00`).toLocaleDateString(
+      undefined,
+      { weekday: "long", year: "numeric", month: "long", day: "numeric" }
+    );
+    const retryBtn = document.createElement("button");
+    retryBtn.className = "secondary-btn";
+    retryBtn.textContent = entry.questions.length
+      ? "New questions"
+      : "Try again";
+    retryBtn.addEventListener("click", () => writeQuestions(entry.dateKey));
+    header.append(title, retryBtn);
+
+    const statsLine = document.createElement("p");
+    statsLine.className = "journal-stats";
+    statsLine.textContent = describeDayStats(stats[entry.dateKey] || {});
+    card.append(header, statsLine);
+
+    if (entry.error) {
+      const error = document.createElement("p");
+      error.className = "test-error";
+      error.textContent = `❌ The AI couldn't write questions: ${entry.error}`;
+      card.appendChild(error);
+    }
+
+    entry.questions.forEach((question, index) => {
+      const label = document.createElement("label");
+      label.className = "field-label";
+      label.textContent = question;
+      const answer = document.createElement("textarea");
+      answer.className = "description-input";
+      answer.rows = 3;
+      answer.placeholder = "Your answer...";
+      answer.value = entry.answers[index] || "";
+      answer.addEventListener("change", () =>
+        saveJournalAnswer(entry.dateKey, index, answer.value)
+      );
+      card.append(label, answer);
+    });
+
+    journalList.appendChild(card);
+  });
+}
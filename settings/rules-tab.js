@@ -0,0 +1,229 @@
+// --- RULES TAB ---
+// RULE_TYPES, ruleMatches(), findMatchingRule() and the channel list
+// helpers come from ../rules.js,
+// SETTINGS_KEY and getUserSettings() from ../shared.js
+
+let rulesList, rulesEmpty;
+let rules = [];
+let ruleCategories = [];
+
+document.addEventListener("DOMContentLoaded", async () => {
+  rulesList = document.getElementById("rules-list");
+  rulesEmpty = document.getElementById("rules-empty");
+
+  ({ rules, categories: ruleCategories } = await getUserSettings());
+
+  document.getElementById("add-rule-button").addEventListener("click", () => {
+    rules.push({
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      type: "keyword",
+      pattern: "",
+      category: ruleCategories[0].id,
+      enabled: true,
+    });
+    saveRules();
+    renderRules();
+    rulesList.querySelector(".rule-row:last-child .rule-pattern").focus();
+  });
+  document
+    .getElementById("rule-test-button")
+    .addEventListener("click", testRules);
+
+  renderRules();
+});
+
+/**
+ * Saves the rules into the stored settings, leaving everything else as is.
+ */
+async function saveRules() {
+  const settings = await getUserSettings();
+  settings.rules = rules;
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+}
+
+/**
+ * Swaps a rule with its neighbour (direction -1 = up, 1 = down).
+ */
+function moveRule(index, direction) {
+  const target = index + direction;
+  if (target < 0 || target >= rules.length) return;
+  [rules[index], rules[target]] = [rules[target], rules[index]];
+  saveRules();
+  renderRules();
+}
+
+/**
+ * Marks regex rules that don't compile, so they aren't silently ignored.
+ */
+function isRuleValid(rule) {
+  if (rule.type !== "title") return true;
+  try {
+    new RegExp(rule.pattern, "i");
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function createSelect(options, selected) {
+  const select = document.createElement("select");
+  options.forEach(({ value, label }) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = selected;
+  return select;
+}
+
+/**
+ * Rebuilds the list of rule rows from the `rules` array.
+ */
+function renderRules() {
+  rulesList.innerHTML = "";
+  rulesEmpty.style.display = rules.length ? "none" : "block";
+
+  rules.forEach((rule, index) => {
+    const row = document.createElement("div");
+    row.className = "rule-row";
+
+    const upBtn = document.createElement("button");
+    upBtn.className = "rule-move-btn";
+    upBtn.textContent = "▲";
+    upBtn.title = "Move up";
+    upBtn.disabled = index === 0;
+    upBtn.addEventListener("click", () => moveRule(index, -1));
+
+    const downBtn = document.createElement("button");
+    downBtn.className = "rule-move-btn";
+    downBtn.textContent = "▼";
+    downBtn.title = "Move down";
+    downBtn.disabled = index === rules.length - 1;
+    downBtn.addEventListener("click", () => moveRule(index, 1));
+
+    const enabled = document.createElement("input");
+    enabled.type = "checkbox";
+    enabled.title = "Enabled";
+    enabled.checked = rule.enabled !== false;
+    enabled.addEventListener("change", () => {
+      rule.enabled = enabled.checked;
+      saveRules();
+    });
+
+    const typeSelect = createSelect(
+      Object.keys(RULE_TYPES).map((type) => ({
+        value: type,
+        label: RULE_TYPES[type].label,
+      })),
+      rule.type
+    );
+
+    const pattern = document.createElement("input");
+    pattern.type = "text";
+    pattern.className = "rule-pattern";
+    pattern.value = rule.pattern;
+    pattern.placeholder = "Pattern";
+
+    const updateValidity = () =>
+      pattern.classList.toggle("invalid", !isRuleValid(rule));
+    typeSelect.addEventListener("change", () => {
+      rule.type = typeSelect.value;
+      updateValidity();
+      saveRules();
+    });
+    pattern.addEventListener("input", () => {
+      rule.pattern = pattern.value;
+      updateValidity();
+    });
+    pattern.addEventListener("change", saveRules);
+    updateValidity();
+
+    const arrow = document.createElement("span");
+    arrow.textContent = "→";
+
+    const categoryOptions = ruleCategories.map((cat) => ({
+      value: cat.id,
+      label: `${cat.emoji || ""} ${cat.name}`,
+    }));
+    if (!ruleCategories.some((cat) => cat.id === rule.category)) {
+      categoryOptions.push({
+        value: rule.category,
+        label: `${rule.category} (deleted)`,
+      });
+    }
+    const categorySelect = createSelect(categoryOptions, rule.category);
+    categorySelect.addEventListener("change", () => {
+      rule.category = categorySelect.value;
+      saveRules();
+    });
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "delete-category-btn";
+    deleteBtn.title = "Delete rule";
+    deleteBtn.innerHTML = "&times;";
+    deleteBtn.addEventListener("click", () => {
+      rules.splice(index, 1);
+      saveRules();
+      renderRules();
+    });
+
+    row.append(
+      upBtn,
+      downBtn,
+      enabled,
+      typeSelect,
+      pattern,
+      arrow,
+      categorySelect,
+      deleteBtn
+    );
+    rulesList.appendChild(row);
+  });
+}
+
+/**
+ * Runs the current rules and channel lists against the sample video, in the
+ * order categorizeItem() checks them, and shows which fires.
+ */
+async function testRules() {
+  const channel = document.getElementById("rule-test-channel").value.trim();
+  const video = {
+    title: document.getElementById("rule-test-title").value.trim(),
+    channel,
+    channelId: channel,
+    url: document.getElementById("rule-test-url").value.trim(),
+  };
+  const result = document.getElementById("rule-test-result");
+  // The channel lists are edited on the Settings tab, so re-read them
+  const { blockedChannels, categories } = await getUserSettings();
+  if (isChannelBlocked(blockedChannels, video)) {
+    result.className = "test-error";
+    result.textContent =
+      "⛔ The channel is blocked. The page would be blocked.";
+    return;
+  }
+
+  const rule = findMatchingRule(
+    rules,
+    video,
+    ruleCategories.map((cat) => cat.id)
+  );
+
+  if (rule) {
+    const position = rules.indexOf(rule) + 1;
+    result.className = "test-success";
+    result.textContent = `✅ Rule #${position} (${describeRule(rule)}) → ${
+      rule.category
+    }`;
+  } else if (findChannelCategory(categories, video)) {
+    result.className = "test-success";
+    result.textContent = `✅ The channel is listed → ${findChannelCategory(
+      categories,
+      video
+    )}`;
+  } else {
+    result.className = "";
+    result.textContent = "No rule matches. The AI would be asked.";
+  }
+}
@@ -1,38 +1,111 @@
 // --- CONSTANTS ---
-const SETTINGS_KEY = "userSettings";
-const DEFAULT_LIMITS = {
-  trash: 0.5,
-  interesting: 30,
-  curriculum: 60,
-  phd: 9999,
-};
+// SETTINGS_KEY, createCategory() and normalizeSettings() come from ../shared.js,
+// LLM_PROVIDERS and classifyTitle() from ../LLM.js, cache helpers from ../cache.js
+const NEW_CATEGORY_COLOR = "#6c757d";
 
 // --- DOM Elements ---
-let limitInputs, tagContainers, saveButton, tabs, tabPanes;
+let categoryList, addCategoryButton, saveButton, tabs, tabPanes;
+let llmInputs, llmTestButton, llmTestResult, cacheTtlInput;
+let shortsInputs,
+  surfaceInputs,
+  blockedChannelsInput,
+  timeAccountingInput,
+  dayStartInput,
+  goalReminderInput,
+  intentionInputs,
+  overrideInputs,
+  warningInputs;
+let shownSettings = null; // The form as loadSettings() filled it in
 
 // --- Main Init ---
 document.addEventListener("DOMContentLoaded", () => {
   // Get all elements
-  limitInputs = {
-    trash: document.getElementById("limit-trash"),
-    interesting: document.getElementById("limit-interesting"),
-    curriculum: document.getElementById("limit-curriculum"),
-    phd: document.getElementById("limit-phd"),
-  };
-  tagContainers = {
-    curriculum: document.getElementById("tags-curriculum"),
-    phd: document.getElementById("tags-phd"),
-  };
+  categoryList = document.getElementById("category-list");
+  addCategoryButton = document.getElementById("add-category-button");
   saveButton = document.getElementById("save-button");
   tabs = document.querySelectorAll(".tab-link");
   tabPanes = document.querySelectorAll(".tab-pane");
+  llmInputs = {
+    provider: document.getElementById("llm-provider"),
+    endpoint: document.getElementById("llm-endpoint"),
+    model: document.getElementById("llm-model"),
+    apiKey: document.getElementById("llm-api-key"),
+  };
+  llmTestButton = document.getElementById("llm-test-button");
+  llmTestResult = document.getElementById("llm-test-result");
+  cacheTtlInput = document.getElementById("cache-ttl");
+  blockedChannelsInput = document.getElementById("blocked-channels");
+  timeAccountingInput = document.getElementById("time-accounting");
+  dayStartInput = document.getElementById("day-start-hour");
+  for (let hour = 0; hour < 24; hour++) {
+    const option = document.createElement("option");
+    option.value = hour;
+    option.textContent = `${String(hour).padStart(2, "0")}:00`;
+    dayStartInput.appendChild(option);
+  }
+  goalReminderInput = document.getElementById("goal-reminder-time");
+  intentionInputs = {
+    enabled: document.getElementById("intentions-enabled"),
+    defaultMinutes: document.getElementById("intentions-minutes"),
+  };
+  warningInputs = {
+    percent: document.getElementById("warning-percent"),
+    minutesLeft: document.getElementById("warning-minutes-left"),
+    countdownMinutes: document.getElementById("warning-countdown"),
+    fadeOut: document.getElementById("warning-fade-out"),
+  };
+  overrideInputs = {
+    minutes: document.getElementById("override-minutes"),
+    waitSeconds: document.getElementById("override-wait"),
+    dailyCap: document.getElementById("override-cap"),
+  };
+  shortsInputs = {
+    mode: document.getElementById("shorts-mode"),
+    category: document.getElementById("shorts-category"),
+    limit: document.getElementById("shorts-limit"),
+    hideShelf: document.getElementById("shorts-hide-shelf"),
+  };
+  surfaceInputs = {
+    modes: {},
+    autoCategory: document.getElementById("surfaces-category"),
+    autoMinutes: document.getElementById("surfaces-minutes"),
+  };
+  DISTRACTION_SURFACES.forEach(({ id, label }) => {
+    const labelEl = document.createElement("label");
+    labelEl.className = "field-label";
+    labelEl.htmlFor = `surface-${id}`;
+    labelEl.textContent = label;
+    const select = document.createElement("select");
+    select.id = `surface-${id}`;
+    select.className = "time-input";
+    [
+      ["show", "Show"],
+      ["hide", "Hide"],
+      ["auto", "Hide after the threshold"],
+    ].forEach(([value, text]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    document.getElementById("surface-list").append(labelEl, select);
+    surfaceInputs.modes[id] = select;
+  });
 
   // 1. Initialize functionality
   initTabs();
-  initTagInputs();
+  initLlmSettings();
+  initTagInput(blockedChannelsInput);
+  shortsInputs.mode.addEventListener("change", updateShortsOptions);
 
-  // 2. Add listener to the save button
+  // 2. Add listeners to the buttons
   saveButton.addEventListener("click", saveSettings);
+  addCategoryButton.addEventListener("click", () => {
+    const card = createCategoryCard(
+      createCategory({ color: NEW_CATEGORY_COLOR, limit: 30 })
+    );
+    card.querySelector(".name-input").focus();
+  });
 
   // 3. Load existing settings from storage
   loadSettings();
@@ -53,32 +126,397 @@ function initTabs() {
   });
 }
 
-// --- Tag Input Logic ---
-function initTagInputs() {
-  for (const category in tagContainers) {
-    const container = tagContainers[category];
-    const input = container.querySelector(".tag-input");
-
-    input.addEventListener("keydown", (e) => {
-      if (e.key === "Enter") {
-        e.preventDefault();
-        const text = input.value.trim();
-        if (text) {
-          createTagElement(text, category, container);
-          input.value = "";
-        }
-      }
+// --- AI Classifier Settings ---
+function initLlmSettings() {
+  for (const id in LLM_PROVIDERS) {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = LLM_PROVIDERS[id].label;
+    llmInputs.provider.appendChild(option);
+  }
+  llmInputs.provider.addEventListener("change", updateLlmPlaceholders);
+  llmTestButton.addEventListener("click", testLlmConnection);
+  document
+    .getElementById("clear-cache-button")
+    .addEventListener("click", async () => {
+      await clearClassificationCache();
+      updateCacheInfo();
     });
+  updateCacheInfo();
+}
+
+async function updateCacheInfo() {
+  const count = Object.keys(await getClassificationCache()).length;
+  document.getElementById("cache-info").textContent = `${count} video${
+    count === 1 ? "" : "s"
+  } cached.`;
+}
+
+/**
+ * Shows the selected provider's defaults as placeholders, so empty fields
+ * make clear what will be used.
+ */
+function updateLlmPlaceholders() {
+  const provider = LLM_PROVIDERS[llmInputs.provider.value];
+  llmInputs.endpoint.placeholder = provider.defaultEndpoint;
+  llmInputs.model.placeholder = provider.defaultModel;
+  llmInputs.apiKey.placeholder = provider.needsApiKey ? "Required" : "Optional";
+}
+
+function readLlmConfig() {
+  return {
+    provider: llmInputs.provider.value,
+    endpoint: llmInputs.endpoint.value.trim(),
+    model: llmInputs.model.value.trim(),
+    apiKey: llmInputs.apiKey.value.trim(),
+  };
+}
+
+/**
+ * A copy of the settings that is safe to log: the API key is left out.
+ */
+function withoutApiKey(settings) {
+  if (!settings?.llm) return settings;
+  return { ...settings, llm: { ...settings.llm, apiKey: undefined } };
+}
+
+/**
+ * Classifies the sample title with the (possibly unsaved) form values.
+ */
+async function testLlmConnection() {
+  const title = document.getElementById("llm-test-title").value.trim();
+  llmTestButton.disabled = true;
+  llmTestResult.className = "";
+  llmTestResult.textContent = "Asking the AI...";
+
+  try {
+    const category = await classifyTitle(title, readLlmConfig());
+    llmTestResult.className = "test-success";
+    llmTestResult.textContent = `✅ Connected. "${title}" → ${category}`;
+  } catch (err) {
+    llmTestResult.className = "test-error";
+    llmTestResult.textContent = `❌ ${err.message}`;
+  } finally {
+    llmTestButton.disabled = false;
   }
 }
 
+// --- YouTube Shorts Settings ---
+
+/**
+ * Only shows the category and limit when Shorts are counted.
+ */
+function updateShortsOptions() {
+  document.getElementById("shorts-count-options").style.display =
+    shortsInputs.mode.value === "count" ? "block" : "none";
+}
+
+/**
+ * Refills a category dropdown (e.g. "Count Shorts time as") from the
+ * category list.
+ * @param {HTMLSelectElement} select
+ * @param {object[]} categories
+ * @param {string} selected - Category id to keep selected.
+ */
+function populateCategorySelect(select, categories, selected) {
+  select.innerHTML = "";
+  categories.forEach((cat) => {
+    const option = document.createElement("option");
+    option.value = cat.id;
+    option.textContent = `${cat.emoji || ""} ${cat.name}`;
+    select.appendChild(option);
+  });
+  select.value = categories.some((cat) => cat.id === selected)
+    ? selected
+    : categories[0].id;
+}
+
+function readShortsSettings() {
+  return {
+    mode: shortsInputs.mode.value,
+    category: shortsInputs.category.value,
+    limit: parseFloat(shortsInputs.limit.value) || 0,
+    hideShelf: shortsInputs.hideShelf.checked,
+  };
+}
+
+function readSurfaceSettings() {
+  const modes = {};
+  for (const id in surfaceInputs.modes) {
+    // Only what differs from "show", like the stored default
+    if (surfaceInputs.modes[id].value !== "show") {
+      modes[id] = surfaceInputs.modes[id].value;
+    }
+  }
+  return {
+    modes,
+    autoCategory: surfaceInputs.autoCategory.value,
+    autoMinutes: Math.max(0, parseFloat(surfaceInputs.autoMinutes.value) || 0),
+  };
+}
+
+// --- Category Editor ---
+
+/**
+ * Creates an editable card for one category and appends it to the list.
+ * @param {object} category - A category from the settings.
+ * @returns {HTMLElement} The new card.
+ */
+function createCategoryCard(category) {
+  const card = document.createElement("div");
+  card.className = "setting-card category-card";
+  card.dataset.id = category.id; // Empty for categories that were never saved
+  card.style.setProperty("--category-color", category.color);
+  card.innerHTML = `
+    <div class="category-header">
+      <input type="text" class="emoji-input" maxlength="4" placeholder="🙂" />
+      <input type="text" class="name-input" placeholder="Category name" />
+      <input type="color" class="color-input" title="Category color" />
+      <button class="delete-category-btn" title="Delete category">&times;</button>
+    </div>
+    <div class="budget-grid">
+      <div>
+        <label>Daily limit (min)</label>
+        <input type="number" class="time-input limit-input" min="0" />
+      </div>
+      <div>
+        <label>Weekend daily (min)</label>
+        <input type="number" class="time-input weekend-input" min="0"
+          placeholder="Same" />
+      </div>
+      <div>
+        <label>Weekly (min)</label>
+        <input type="number" class="time-input weekly-input" min="0"
+          placeholder="None" />
+      </div>
+      <div>
+        <label>Rolling 7 days (min)</label>
+        <input type="number" class="time-input rolling-input" min="0"
+          placeholder="None" />
+      </div>
+    </div>
+    <p class="budget-remaining"></p>
+    <label>Interventions (at % of the budget used)</label>
+    <div class="budget-grid intervention-grid"></div>
+    <label>Daily goal (min)</label>
+    <input type="number" class="time-input goal-input" min="0"
+      placeholder="None" />
+    <div class="schedule-days goal-days"></div>
+    <label>Schedule</label>
+    <div class="schedule-list">
+      <!-- Time windows will be added here by JS -->
+    </div>
+    <button class="secondary-btn add-window-btn">+ Add time window</button>
+    <label>Description</label>
+    <textarea class="description-input" rows="2"
+      placeholder="What kind of videos belong here?"></textarea>
+    <label>Keywords</label>
+    <div class="tag-input-container keyword-tags">
+      <!-- Tags will be added here by JS -->
+      <input
+        type="text"
+        class="tag-input"
+        placeholder="Type a topic and press Enter..."
+      />
+    </div>
+    <label>Channels (always this category)</label>
+    <div class="tag-input-container channel-tags">
+      <input
+        type="text"
+        class="tag-input"
+        placeholder="Channel name or ID, then Enter..."
+      />
+    </div>
+  `;
+
+  card.querySelector(".emoji-input").value = category.emoji || "";
+  card.querySelector(".name-input").value = category.name || "";
+  card.querySelector(".color-input").value = category.color;
+  card.querySelector(".limit-input").value = category.limit || 0;
+  card.querySelector(".weekend-input").value = category.weekendLimit ?? "";
+  card.querySelector(".weekly-input").value = category.weeklyLimit ?? "";
+  card.querySelector(".rolling-input").value = category.rollingLimit ?? "";
+  const ladder = getInterventions(category);
+  INTERVENTION_STEPS.forEach((step) => {
+    const field = document.createElement("div");
+    const label = document.createElement("label");
+    label.textContent = `${step.icon} ${step.label}`;
+    label.title = step.description;
+    const input = document.createElement("input");
+    input.type = "number";
+    input.className = "time-input";
+    input.dataset.step = step.id;
+    // The hard block can be moved past the limit, but not turned off
+    input.min = step.id === "block" ? 100 : 0;
+    input.placeholder = step.id === "block" ? "100" : "Off";
+    input.value = ladder[step.id] ?? "";
+    field.append(label, input);
+    card.querySelector(".intervention-grid").appendChild(field);
+  });
+  card.querySelector(".goal-input").value = category.goal ?? "";
+  const goalDays = category.goalDays || SCHEDULE_DAYS.map((d) => d.day);
+  SCHEDULE_DAYS.forEach(({ day, label }) => {
+    const dayLabel = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = day;
+    checkbox.checked = goalDays.includes(day);
+    dayLabel.append(checkbox, label);
+    card.querySelector(".goal-days").appendChild(dayLabel);
+  });
+  card.querySelector(".description-input").value = category.description || "";
+
+  const tagContainer = card.querySelector(".keyword-tags");
+  (category.keywords || []).forEach((tagText) =>
+    createTagElement(tagText, tagContainer)
+  );
+  initTagInput(tagContainer);
+
+  const channelContainer = card.querySelector(".channel-tags");
+  (category.channels || []).forEach((channel) =>
+    createTagElement(channel, channelContainer)
+  );
+  initTagInput(channelContainer);
+
+  const scheduleList = card.querySelector(".schedule-list");
+  (category.schedule || []).forEach((timeWindow) =>
+    createScheduleRow(timeWindow, scheduleList)
+  );
+  card
+    .querySelector(".add-window-btn")
+    .addEventListener("click", () =>
+      createScheduleRow(
+        { type: "allow", days: [...WEEKDAYS], start: "19:00", end: "22:00" },
+        scheduleList
+      )
+    );
+
+  card.querySelector(".color-input").addEventListener("input", (e) => {
+    card.style.setProperty("--category-color", e.target.value);
+  });
+
+  card
+    .querySelector(".delete-category-btn")
+    .addEventListener("click", () => deleteCategoryCard(card));
+
+  categoryList.appendChild(card);
+  return card;
+}
+
+/**
+ * Removes a category card after confirmation. Stats already recorded for the
+ * category are kept in storage and still appear in the Stats tab.
+ * @param {HTMLElement} card
+ */
+function deleteCategoryCard(card) {
+  if (categoryList.querySelectorAll(".category-card").length <= 1) {
+    alert("You need at least one category.");
+    return;
+  }
+  const name = card.querySelector(".name-input").value || "this category";
+  if (!confirm(`Delete "${name}"? Its past stats will be kept.`)) return;
+  card.remove();
+}
+
+/**
+ * Turns a category name into a storage-safe id that isn't already taken.
+ * @param {string} name
+ * @param {Set<string>} takenIds
+ * @returns {string}
+ */
+function createCategoryId(name, takenIds) {
+  const base =
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "category";
+  let id = base;
+  for (let i = 2; takenIds.has(id); i++) id = `${base}-${i}`;
+  return id;
+}
+
+// --- Schedule Logic ---
+
+/**
+ * Creates an editable row for one schedule window (see schedule.js).
+ * @param {ScheduleWindow} timeWindow
+ * @param {HTMLElement} container - The card's schedule list.
+ */
+function createScheduleRow(timeWindow, container) {
+  const row = document.createElement("div");
+  row.className = "schedule-row";
+  row.innerHTML = `
+    <select class="schedule-type">
+      <option value="allow">Allowed only</option>
+      <option value="block">Blocked</option>
+    </select>
+    <input type="time" class="schedule-start" />
+    <span>to</span>
+    <input type="time" class="schedule-end" />
+    <button class="delete-window-btn" title="Remove time window">&times;</button>
+    <div class="schedule-days"></div>
+  `;
+  row.querySelector(".schedule-type").value = timeWindow.type;
+  row.querySelector(".schedule-start").value = timeWindow.start;
+  row.querySelector(".schedule-end").value = timeWindow.end;
+
+  const daysEl = row.querySelector(".schedule-days");
+  SCHEDULE_DAYS.forEach(({ day, label }) => {
+    const dayLabel = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = day;
+    checkbox.checked = timeWindow.days.includes(day);
+    dayLabel.append(checkbox, label);
+    daysEl.appendChild(dayLabel);
+  });
+
+  row
+    .querySelector(".delete-window-btn")
+    .addEventListener("click", () => row.remove());
+  container.appendChild(row);
+}
+
+/**
+ * Reads a card's schedule rows back, skipping windows without any day.
+ * @param {HTMLElement} container
+ * @returns {ScheduleWindow[]}
+ */
+function readSchedule(container) {
+  return [...container.querySelectorAll(".schedule-row")]
+    .map((row) => ({
+      type: row.querySelector(".schedule-type").value,
+      days: [...row.querySelectorAll(".schedule-days input:checked")].map(
+        (checkbox) => parseInt(checkbox.value)
+      ),
+      start: row.querySelector(".schedule-start").value || "00:00",
+      end: row.querySelector(".schedule-end").value || "00:00",
+    }))
+    .filter((timeWindow) => timeWindow.days.length);
+}
+
+// --- Tag Input Logic ---
+function initTagInput(container) {
+  const input = container.querySelector(".tag-input");
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      const text = input.value.trim();
+      if (text) {
+        createTagElement(text, container);
+        input.value = "";
+      }
+    }
+  });
+}
+
 /**
  * Creates and inserts a new tag element into the DOM.
  * @param {string} text - The text for the tag.
- * @param {string} category - The category ("curriculum" or "phd").
  * @param {HTMLElement} container - The container to insert into.
  */
-function createTagElement(text, category, container) {
+function createTagElement(text, container) {
   const input = container.querySelector(".tag-input");
 
   const tagEl = document.createElement("span");
@@ -117,36 +555,222 @@ function getTags(container) {
 // --- Save & Load Logic ---
 
 /**
- * Saves all settings from the UI into chrome.storage.
+ * Reads every category card back into a list of category objects.
+ * Existing categories keep their id when renamed so their stats stay linked.
+ * @returns {object[]}
  */
-function saveSettings() {
-  // 1. Get limits
-  const limits = {};
-  for (const category in limitInputs) {
-    // Save as a number
-    limits[category] = parseFloat(limitInputs[category].value) || 0;
-  }
+function readCategories() {
+  const cards = [...categoryList.querySelectorAll(".category-card")];
+  const takenIds = new Set(
+    cards.map((card) => card.dataset.id).filter(Boolean)
+  );
+
+  return cards.map((card) => {
+    const name = card.querySelector(".name-input").value.trim() || "Untitled";
+    if (!card.dataset.id) {
+      card.dataset.id = createCategoryId(name, takenIds);
+      takenIds.add(card.dataset.id);
+    }
+    return {
+      id: card.dataset.id,
+      name,
+      emoji: card.querySelector(".emoji-input").value.trim(),
+      color: card.querySelector(".color-input").value,
+      // Save as a number
+      limit: parseFloat(card.querySelector(".limit-input").value) || 0,
+      weekendLimit: readOptionalLimit(card.querySelector(".weekend-input")),
+      weeklyLimit: readOptionalLimit(card.querySelector(".weekly-input")),
+      rollingLimit: readOptionalLimit(card.querySelector(".rolling-input")),
+      interventions: readInterventions(
+        card.querySelector(".intervention-grid")
+      ),
+      goal: readOptionalLimit(card.querySelector(".goal-input")),
+      goalDays: [...card.querySelectorAll(".goal-days input:checked")].map(
+        (checkbox) => parseInt(checkbox.value)
+      ),
+      schedule: readSchedule(card.querySelector(".schedule-list")),
+      channels: getTags(card.querySelector(".channel-tags")),
+      keywords: getTags(card.querySelector(".keyword-tags")),
+      description: card.querySelector(".description-input").value.trim(),
+    };
+  });
+}
 
-  // 2. Get keywords
-  const keywords = {
-    curriculum: getTags(tagContainers.curriculum),
-    // *** THIS IS THE FIX ***
-    phd: getTags(tagContainers.phd),
+/**
+ * An empty weekend/weekly/rolling limit or goal field means "none" (null).
+ * @param {HTMLInputElement} input
+ * @returns {number|null}
+ */
+function readOptionalLimit(input) {
+  return input.value.trim() === "" ? null : parseFloat(input.value) || 0;
+}
+
+/**
+ * Reads a card's intervention ladder (see interventions.js). Empty steps
+ * are off, except the hard block, which falls back to 100 %.
+ * @param {HTMLElement} grid
+ * @returns {Object<string, number|null>}
+ */
+function readInterventions(grid) {
+  const ladder = {};
+  grid.querySelectorAll("input").forEach((input) => {
+    ladder[input.dataset.step] = readOptionalLimit(input);
+  });
+  ladder.block = Math.max(100, ladder.block ?? 100);
+  return ladder;
+}
+
+/**
+ * Shows the remaining budget of each saved category on its card.
+ */
+function updateBudgetInfo() {
+  chrome.runtime.sendMessage({ action: "getLiveStats" }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.budgets) return;
+    categoryList.querySelectorAll(".category-card").forEach((card) => {
+      card.querySelector(".budget-remaining").textContent =
+        describeRemainingBudgets(response.budgets[card.dataset.id]);
+    });
+  });
+}
+
+/**
+ * Reads the settings the page edits from the form.
+ * @returns {object} Part of a settings object.
+ */
+function readSettingsForm() {
+  const settings = {};
+  settings.categories = readCategories();
+  settings.blockedChannels = getTags(blockedChannelsInput);
+  settings.timeAccounting = timeAccountingInput.value;
+  settings.dayStartHour = parseInt(dayStartInput.value) || 0;
+  settings.goalReminderTime = goalReminderInput.value;
+  settings.intentions = {
+    enabled: intentionInputs.enabled.checked,
+    defaultMinutes: Math.max(
+      1,
+      parseFloat(intentionInputs.defaultMinutes.value) || 0
+    ),
+  };
+  settings.warnings = {
+    percent: Math.max(0, parseFloat(warningInputs.percent.value) || 0),
+    minutesLeft: Math.max(0, parseFloat(warningInputs.minutesLeft.value) || 0),
+    countdownMinutes: Math.max(
+      0,
+      parseFloat(warningInputs.countdownMinutes.value) || 0
+    ),
+    fadeOut: warningInputs.fadeOut.checked,
+  };
+  settings.overrides = {
+    minutes: Math.max(1, parseFloat(overrideInputs.minutes.value) || 0),
+    waitSeconds: Math.max(0, parseInt(overrideInputs.waitSeconds.value) || 0),
+    dailyCap: Math.max(0, parseInt(overrideInputs.dailyCap.value) || 0),
   };
+  settings.shorts = readShortsSettings();
+  settings.surfaces = readSurfaceSettings();
+  settings.llm = readLlmConfig();
+  settings.cacheTtlDays = Math.max(0, parseFloat(cacheTtlInput.value) || 0);
+  return settings;
+}
 
-  // 3. Save to storage
-  const settingsToSave = { limits, keywords };
-  console.log("Saving settings:", settingsToSave); // DEBUG
-  chrome.storage.local.set({ [SETTINGS_KEY]: settingsToSave }, () => {
+/**
+ * Takes the user's edit of a value on top of the stored one: what they
+ * didn't change in the form keeps its stored value. Objects are merged
+ * key by key, anything else is replaced as a whole.
+ * @param {any} stored - The value in storage now.
+ * @param {any} shown - The value the form was filled in with.
+ * @param {any} edited - The value in the form now.
+ */
+function mergeEdits(stored, shown, edited) {
+  if (JSON.stringify(edited) === JSON.stringify(shown)) return stored;
+  const isObject = (value) =>
+    value && typeof value === "object" && !Array.isArray(value);
+  if (![stored, shown, edited].every(isObject)) return edited;
+  const merged = { ...stored };
+  for (const key in edited) {
+    merged[key] = mergeEdits(stored[key], shown[key], edited[key]);
+  }
+  return merged;
+}
+
+/**
+ * Like mergeEdits(), per category (by id). Categories added elsewhere are
+ * kept, and the ones deleted elsewhere stay deleted.
+ * @param {object[]} stored
+ * @param {object[]} shown
+ * @param {object[]} edited
+ * @returns {object[]}
+ */
+function mergeCategoryEdits(stored, shown, edited) {
+  const find = (categories, id) => categories.find((c) => c.id === id);
+  const merged = edited
+    .filter((cat) => !find(shown, cat.id) || find(stored, cat.id))
+    .map((cat) =>
+      find(shown, cat.id)
+        ? mergeEdits(find(stored, cat.id), find(shown, cat.id), cat)
+        : cat
+    );
+  stored.forEach((cat) => {
+    if (!find(shown, cat.id) && !find(merged, cat.id)) merged.push(cat);
+  });
+  return merged;
+}
+
+/**
+ * The settings to save: what the user changed in the form, and the stored
+ * value of everything else. The page may be stale: the popup, the
+ * background or another device (see sync.js) may have changed the settings
+ * since it was loaded, and those changes must not be reverted.
+ * @param {object} stored - The normalized settings in storage now.
+ * @param {object} shown - readSettingsForm() when the form was filled in.
+ * @param {object} edited - readSettingsForm() now.
+ * @returns {object}
+ */
+function mergeSettingsEdits(stored, shown, edited) {
+  const settings = mergeEdits(stored, shown, edited);
+  settings.categories = mergeCategoryEdits(
+    stored.categories,
+    shown.categories,
+    edited.categories
+  );
+  return settings;
+}
+
+/**
+ * Saves the settings changed in the form into chrome.storage.
+ */
+async function saveSettings() {
+  const stored = normalizeSettings(
+    (await chrome.storage.local.get(SETTINGS_KEY))[SETTINGS_KEY]
+  );
+  const settings = mergeSettingsEdits(
+    stored,
+    shownSettings,
+    readSettingsForm()
+  );
+
+  console.log("Saving settings:", withoutApiKey(settings)); // DEBUG
+  chrome.storage.local.set({ [SETTINGS_KEY]: settings }, () => {
     console.log("Settings saved successfully."); // DEBUG
-    // 4. Show visual feedback
+    // Show visual feedback
     saveButton.textContent = "Saved!";
     setTimeout(() => {
       saveButton.textContent = "Save Settings";
     }, 2000);
+    loadSettings(); // With the changes made elsewhere
+    renderStats();
   });
 }
 
+// Changes made elsewhere show up at once, unless the form has unsaved edits
+// (which saveSettings() merges with them)
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace !== "local" || !changes[SETTINGS_KEY] || !shownSettings) {
+    return;
+  }
+  const form = JSON.stringify(readSettingsForm());
+  if (form === JSON.stringify(shownSettings)) loadSettings();
+});
+
 /**
  * Loads settings from chrome.storage and populates the UI.
  */
@@ -157,97 +781,111 @@ function loadSettings() {
       return;
     }
 
-    console.log("Loaded settings:", result); // DEBUG
+    console.log("Loaded settings:", withoutApiKey(result[SETTINGS_KEY])); // DEBUG
 
-    const settings = result[SETTINGS_KEY] || {};
-    const limits = settings.limits || DEFAULT_LIMITS;
-    const keywords = settings.keywords || {
-      curriculum: [],
-      phd: [],
-    };
-    console.log("Applying limits:", limits); // DEBUG
-    console.log("Applying keywords:", keywords); // DEBUG
+    const settings = normalizeSettings(result[SETTINGS_KEY]);
+    console.log("Applying categories:", settings.categories); // DEBUG
 
-    // 1. Populate time limits
-    for (const category in limitInputs) {
-      if (limitInputs[category]) {
-        limitInputs[category].value = limits[category] || 0;
-      }
-    }
+    categoryList.innerHTML = "";
+    settings.categories.forEach(createCategoryCard);
+    updateBudgetInfo();
+    blockedChannelsInput
+      .querySelectorAll(".tag-item")
+      .forEach((tagEl) => tagEl.remove());
+    settings.blockedChannels.forEach((channel) =>
+      createTagElement(channel, blockedChannelsInput)
+    );
 
-    // 2. Populate curriculum keywords
-    if (keywords.curriculum && tagContainers.curriculum) {
-      keywords.curriculum.forEach((tagText) => {
-        createTagElement(tagText, "curriculum", tagContainers.curriculum);
-      });
+    for (const field in llmInputs) {
+      llmInputs[field].value = settings.llm[field] || "";
     }
-
-    // 3. Populate PhD keywords
-    if (keywords.phd && tagContainers.phd) {
-      keywords.phd.forEach((tagText) => {
-        createTagElement(tagText, "phd", tagContainers.phd);
-      });
+    if (!LLM_PROVIDERS[llmInputs.provider.value]) {
+      llmInputs.provider.value = DEFAULT_SETTINGS.llm.provider;
+    }
+    updateLlmPlaceholders();
+    cacheTtlInput.value = settings.cacheTtlDays;
+
+    timeAccountingInput.value = settings.timeAccounting;
+    dayStartInput.value = settings.dayStartHour;
+    goalReminderInput.value = settings.goalReminderTime;
+    intentionInputs.enabled.checked = settings.intentions.enabled;
+    intentionInputs.defaultMinutes.value = settings.intentions.defaultMinutes;
+    warningInputs.percent.value = settings.warnings.percent;
+    warningInputs.minutesLeft.value = settings.warnings.minutesLeft;
+    warningInputs.countdownMinutes.value = settings.warnings.countdownMinutes;
+    warningInputs.fadeOut.checked = settings.warnings.fadeOut;
+    for (const field in overrideInputs) {
+      overrideInputs[field].value = settings.overrides[field];
+    }
+    shortsInputs.mode.value = settings.shorts.mode;
+    populateCategorySelect(
+      shortsInputs.category,
+      settings.categories,
+      settings.shorts.category
+    );
+    shortsInputs.limit.value = settings.shorts.limit;
+    shortsInputs.hideShelf.checked = settings.shorts.hideShelf;
+    for (const id in surfaceInputs.modes) {
+      surfaceInputs.modes[id].value = settings.surfaces.modes[id] || "show";
     }
+    populateCategorySelect(
+      surfaceInputs.autoCategory,
+      settings.categories,
+      settings.surfaces.autoCategory
+    );
+    surfaceInputs.autoMinutes.value = settings.surfaces.autoMinutes;
+    updateShortsOptions();
+    shownSettings = readSettingsForm();
   });
 }
 
-document.addEventListener("DOMContentLoaded", loadChart);
-document.getElementById("timeRange").addEventListener("change", loadChart);
-
-async function loadChart() {
-  const range = parseInt(document.getElementById("timeRange").value);
-
-  // 1. Get ALL storage data
-  const allData = await chrome.storage.local.get(null);
+document.addEventListener("DOMContentLoaded", renderOverrideLog);
 
-  // 2. Filter for keys that look like dates (YYYY-MM-DD)
-  const dateKeys = Object.keys(allData).filter((key) =>
-    /^\d{4}-\d{2}-\d{2}$/.test(key)
-  );
-
-  // 3. Sort dates
-  dateKeys.sort();
-
-  // 4. Slice based on range (take the last N days)
-  const recentKeys = dateKeys.slice(-range);
-
-  // 5. Prepare datasets
-  const labels = recentKeys;
-  const categories = ["phd", "curriculum", "interesting", "trash"];
-  const colors = {
-    phd: "#7437a5",
-    curriculum: "#789f04",
-    interesting: "#00acc1",
-    trash: "#bd0e0e",
-  };
-
-  const datasets = categories.map((cat) => ({
-    label: cat.toUpperCase(),
-    data: recentKeys.map((date) => {
-      const ms = allData[date][cat] || 0;
-      return (ms / 60000).toFixed(1); // Convert ms to minutes
-    }),
-    borderColor: colors[cat],
-    fill: false,
-    tension: 0.1,
-  }));
-
-  // 6. Render Chart
-  const ctx = document.getElementById("statsChart").getContext("2d");
-
-  // Destroy old chart if it exists to allow redrawing
-  if (window.myProductivityChart) {
-    window.myProductivityChart.destroy();
-  }
+/**
+ * Lists every "five more minutes" override, newest first, so they can be
+ * reviewed next to the stats.
+ */
+async function renderOverrideLog() {
+  const log = (await getOverrideLog()).reverse();
+  const { categories, dayStartHour } = await getUserSettings();
+  const weekKeys = getPeriodDateKeys("rolling", new Date(), dayStartHour);
+  const dayOf = (o) => getDateKey(new Date(o.grantedAt), dayStartHour);
+  const todayCount = log.filter((o) => dayOf(o) === weekKeys[0]).length;
+  const weekCount = log.filter((o) => weekKeys.includes(dayOf(o))).length;
+  document.getElementById(
+    "override-summary"
+  ).textContent = `${todayCount} today, ${weekCount} in the last 7 days.`;
+
+  const list = document.getElementById("override-list");
+  list.innerHTML = "";
+  document.getElementById("override-empty").style.display = log.length
+    ? "none"
+    : "block";
+
+  log.forEach((override) => {
+    const cat = categories.find((c) => c.id === override.category);
+    const cells = [
+      new Date(override.grantedAt).toLocaleString(),
+      cat ? `${cat.emoji || ""} ${cat.name}` : `${override.category} (deleted)`,
+      override.minutes,
+      override.reason,
+    ];
+    const row = document.createElement("tr");
+    cells.forEach((text) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
 
-  window.myProductivityChart = new Chart(ctx, {
-    type: "line",
-    data: { labels, datasets },
-    options: {
-      responsive: true,
-      scales: {
-        y: { beginAtZero: true, title: { display: true, text: "Minutes" } },
-      },
-    },
+    const pageCell = document.createElement("td");
+    const link = document.createElement("a");
+    link.href = override.url;
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.textContent = override.title || override.url;
+    link.title = override.blockReason;
+    pageCell.appendChild(link);
+    row.appendChild(pageCell);
+    list.appendChild(row);
   });
 }
@@ -0,0 +1,483 @@
+// --- STATS TAB ---
+// Charts, limit adherence, streaks and the calendar heatmap, all built from
+// the daily stats records. Days without a record count as zero minutes.
+// Date helpers come from ../shared.js, getDailyLimit() and getDailyGoal()
+// from ../schedule.js, isBeyondIntent() from ../intentions.js,
+// FOCUS_LOG_KEY from ../focus.js, getRemoteStats() and addStats() from
+// ../sync.js, NEW_CATEGORY_COLOR from settings.js
+
+const HEATMAP_WEEKS = 26;
+const GOAL_HISTORY_DAYS = 14;
+const MAX_LISTED_INTENTIONS = 30;
+const HEATMAP_DEFAULT_CATEGORY = "trash";
+
+document.addEventListener("DOMContentLoaded", () => {
+  document.getElementById("timeRange").addEventListener("change", renderStats);
+  document
+    .getElementById("heatmap-category")
+    .addEventListener("change", renderStats);
+  // Refresh whenever the tab is opened, more time may have been counted
+  document
+    .querySelector('.tab-link[data-tab="tab-stats"]')
+    .addEventListener("click", renderStats);
+  renderStats();
+});
+
+/**
+ * A "YYYY-MM-DD" key as a Date at noon, so DST shifts never change the day.
+ */
+function parseDateKey(dateKey) {
+  return new Date(`${dateKey}T12:00`);
+}
+
+/**
+ * The key `days` calendar days before (negative) or after a date key.
+ */
+function shiftDateKey(dateKey, days) {
+  const date = parseDateKey(dateKey);
+  date.setDate(date.getDate() + days);
+  return getDateKey(date);
+}
+
+/**
+ * Every date key from `firstKey` to `lastKey`, inclusive, with no gaps.
+ * @returns {string[]}
+ */
+function listDateKeys(firstKey, lastKey) {
+  const keys = [];
+  for (let key = firstKey; key <= lastKey; key = shiftDateKey(key, 1)) {
+    keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * Minutes of a category on a day, 0 if nothing was recorded.
+ * @param {object} records - All stored data, keyed by date.
+ */
+function getDayMinutes(records, dateKey, categoryId) {
+  return ((records[dateKey] || {})[categoryId] || 0) / MIN_TO_MS;
+}
+
+/**
+ * Whether a category went over its daily (or weekend) limit on a day.
+ * Past days are judged by the current limits.
+ */
+function isOverLimit(records, dateKey, category) {
+  const limit = getDailyLimit(category, parseDateKey(dateKey));
+  return getDayMinutes(records, dateKey, category.id) > limit;
+}
+
+/**
+ * The current and longest runs of days under a category's limit.
+ * @param {string[]} days - Consecutive date keys, oldest first, up to today.
+ * @returns {{current: number, best: number}}
+ */
+function getUnderLimitStreaks(records, days, category) {
+  let current = 0;
+  let best = 0;
+  days.forEach((dateKey) => {
+    current = isOverLimit(records, dateKey, category) ? 0 : current + 1;
+    best = Math.max(best, current);
+  });
+  return { current, best };
+}
+
+/**
+ * Whether a category reached its goal on a day: true or false, or null if
+ * it had no goal that day, or if it is today and the goal isn't reached yet.
+ * Past days are judged by the current goals.
+ * @param {string} today - Today's date key.
+ * @returns {boolean|null}
+ */
+function isGoalReached(records, dateKey, category, today) {
+  const goal = getDailyGoal(category, parseDateKey(dateKey));
+  if (goal === null) return null;
+  const reached = getDayMinutes(records, dateKey, category.id) >= goal;
+  return reached || dateKey < today ? reached : null;
+}
+
+/**
+ * The current and longest runs of goals reached. Days without a goal are
+ * skipped rather than breaking a run.
+ * @param {string[]} days - Consecutive date keys, oldest first, up to today.
+ * @returns {{current: number, best: number}}
+ */
+function getGoalStreaks(records, days, category) {
+  const today = days[days.length - 1];
+  let current = 0;
+  let best = 0;
+  days.forEach((dateKey) => {
+    const reached = isGoalReached(records, dateKey, category, today);
+    if (reached === null) return;
+    current = reached ? current + 1 : 0;
+    best = Math.max(best, current);
+  });
+  return { current, best };
+}
+
+/**
+ * Re-reads the stats and redraws the whole tab.
+ */
+async function renderStats() {
+  const records = await chrome.storage.local.get(null);
+  // The recent days include the time watched on the user's other devices
+  const remote = await getRemoteStats();
+  for (const dateKey in remote) {
+    records[dateKey] = addStats(records[dateKey], remote[dateKey]);
+  }
+  const settings = normalizeSettings(records[SETTINGS_KEY]);
+  const today = getDateKey(new Date(), settings.dayStartHour);
+  const recordKeys = Object.keys(records)
+    .filter((key) => DATE_KEY_PATTERN.test(key) && key <= today)
+    .sort();
+
+  // Every day since tracking started, and the days in the selected range
+  const trackedDays = listDateKeys(recordKeys[0] || today, today);
+  const range = parseInt(document.getElementById("timeRange").value);
+  const rangeDays =
+    range >= trackedDays.length
+      ? trackedDays
+      : listDateKeys(shiftDateKey(today, 1 - range), today);
+
+  renderCharts(records, settings.categories, rangeDays);
+  renderAdherence(records, settings.categories, rangeDays, trackedDays);
+  renderGoals(records, settings.categories, rangeDays, trackedDays);
+  renderIntentions(records, rangeDays);
+  renderFocusSessions(records, settings, rangeDays);
+  renderHeatmap(records, settings.categories, today);
+}
+
+/**
+ * The series to chart: one per current category, plus any keys found in
+ * old records whose category has since been deleted.
+ */
+function getChartSeries(records, categories, days) {
+  const series = categories.map((cat) => ({
+    key: cat.id,
+    label: cat.name.toUpperCase(),
+    color: cat.color,
+  }));
+  days.forEach((date) => {
+    for (const key in records[date]) {
+      if (!series.some((s) => s.key === key)) {
+        series.push({
+          key,
+          label: `${key} (deleted)`,
+          color: NEW_CATEGORY_COLOR,
+        });
+      }
+    }
+  });
+  return series;
+}
+
+/**
+ * Draws the trend lines and the stacked daily totals.
+ */
+function renderCharts(records, categories, days) {
+  const series = getChartSeries(records, categories, days);
+  const dataFor = (s) =>
+    days.map((date) => getDayMinutes(records, date, s.key).toFixed(1));
+
+  // Destroy old charts if they exist to allow redrawing
+  if (window.myProductivityChart) window.myProductivityChart.destroy();
+  if (window.myDailyTotalsChart) window.myDailyTotalsChart.destroy();
+
+  window.myProductivityChart = new Chart(
+    document.getElementById("statsChart").getContext("2d"),
+    {
+      type: "line",
+      data: {
+        labels: days,
+        datasets: series.map((s) => ({
+          label: s.label,
+          data: dataFor(s),
+          borderColor: s.color,
+          fill: false,
+          tension: 0.1,
+        })),
+      },
+      options: {
+        responsive: true,
+        scales: {
+          y: { beginAtZero: true, title: { display: true, text: "Minutes" } },
+        },
+      },
+    }
+  );
+
+  window.myDailyTotalsChart = new Chart(
+    document.getElementById("dailyTotalsChart").getContext("2d"),
+    {
+      type: "bar",
+      data: {
+        labels: days,
+        datasets: series.map((s) => ({
+          label: s.label,
+          data: dataFor(s),
+          backgroundColor: s.color,
+        })),
+      },
+      options: {
+        responsive: true,
+        scales: {
+          x: { stacked: true },
+          y: {
+            stacked: true,
+            beginAtZero: true,
+            title: { display: true, text: "Minutes" },
+          },
+        },
+      },
+    }
+  );
+}
+
+/**
+ * Fills the per-category table: days under and over the limit in the
+ * range, streaks, and the last 7 days against the 7 before.
+ * @param {string[]} rangeDays - The selected range.
+ * @param {string[]} trackedDays - Every day since tracking started.
+ */
+function renderAdherence(records, categories, rangeDays, trackedDays) {
+  const list = document.getElementById("adherence-list");
+  list.innerHTML = "";
+  const today = trackedDays[trackedDays.length - 1];
+  // Days before tracking started are neither under nor over
+  const judgedDays = rangeDays.filter((key) => key >= trackedDays[0]);
+  const lastWeek = listDateKeys(shiftDateKey(today, -6), today);
+  const weekBefore = listDateKeys(
+    shiftDateKey(today, -13),
+    shiftDateKey(today, -7)
+  );
+
+  categories.forEach((cat) => {
+    const overDays = judgedDays.filter((key) =>
+      isOverLimit(records, key, cat)
+    ).length;
+    const streaks = getUnderLimitStreaks(records, trackedDays, cat);
+    const sumMinutes = (days) =>
+      days.reduce((sum, key) => sum + getDayMinutes(records, key, cat.id), 0);
+    const thisWeek = sumMinutes(lastWeek);
+    const previousWeek = sumMinutes(weekBefore);
+
+    let change = "—";
+    if (previousWeek > 0) {
+      const percent = Math.round((thisWeek / previousWeek - 1) * 100);
+      change = `${percent >= 0 ? "▲" : "▼"} ${Math.abs(percent)}%`;
+    } else if (thisWeek > 0) {
+      change = "▲ new";
+    }
+
+    const cells = [
+      `${cat.emoji || ""} ${cat.name}`.trim(),
+      judgedDays.length - overDays,
+      overDays,
+      `${streaks.current} day${streaks.current === 1 ? "" : "s"}`,
+      `${streaks.best} day${streaks.best === 1 ? "" : "s"}`,
+      `${Math.round(thisWeek)} min`,
+      change,
+    ];
+    const row = document.createElement("tr");
+    cells.forEach((text) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Fills the goal table: days the goal was reached and missed in the range,
+ * streaks, and a ✓/✗ per recent day (· for days without a goal).
+ * @param {string[]} rangeDays - The selected range.
+ * @param {string[]} trackedDays - Every day since tracking started.
+ */
+function renderGoals(records, categories, rangeDays, trackedDays) {
+  const list = document.getElementById("goal-list");
+  list.innerHTML = "";
+  const today = trackedDays[trackedDays.length - 1];
+  const judgedDays = rangeDays.filter((key) => key >= trackedDays[0]);
+  const recentDays = listDateKeys(
+    shiftDateKey(today, 1 - GOAL_HISTORY_DAYS),
+    today
+  );
+  const withGoals = categories.filter(
+    (cat) => typeof cat.goal === "number" && cat.goal > 0
+  );
+  document.getElementById("goal-empty").style.display = withGoals.length
+    ? "none"
+    : "block";
+
+  withGoals.forEach((cat) => {
+    const results = judgedDays.map((key) =>
+      isGoalReached(records, key, cat, today)
+    );
+    const streaks = getGoalStreaks(records, trackedDays, cat);
+    const recent = recentDays
+      .map((key) => {
+        const reached = isGoalReached(records, key, cat, today);
+        return reached === null ? "·" : reached ? "✓" : "✗";
+      })
+      .join("");
+
+    const cells = [
+      `${cat.emoji || ""} ${cat.name}`.trim(),
+      `${cat.goal} min`,
+      results.filter((reached) => reached === true).length,
+      results.filter((reached) => reached === false).length,
+      `${streaks.current} day${streaks.current === 1 ? "" : "s"}`,
+      `${streaks.best} day${streaks.best === 1 ? "" : "s"}`,
+      recent,
+    ];
+    const row = document.createElement("tr");
+    cells.forEach((text) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    row.lastChild.className = "goal-history";
+    row.lastChild.title = `${recentDays[0]} to ${today}`;
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Summarizes the watch intentions of the range (see intentions.js) and
+ * lists the latest, marking the sessions that went beyond the intent.
+ * @param {string[]} rangeDays - The selected range.
+ */
+function renderIntentions(records, rangeDays) {
+  const intentions = rangeDays
+    .flatMap((dateKey) => records[getIntentionsKey(dateKey)] || [])
+    .sort((a, b) => b.startedAt - a.startedAt);
+  const beyond = intentions.filter(isBeyondIntent).length;
+  const outcomes = Object.keys(INTENTION_OUTCOMES).map((outcome) => {
+    const count = intentions.filter((i) => i.outcome === outcome).length;
+    return `${INTENTION_OUTCOMES[outcome]}: ${count}`;
+  });
+  const noCheckIn = intentions.filter((i) => !i.outcome).length;
+
+  document.getElementById("intention-summary").textContent = intentions.length
+    ? `${intentions.length} video${
+        intentions.length === 1 ? "" : "s"
+      } with an intention, ${beyond} (${Math.round(
+        (beyond / intentions.length) * 100
+      )}%) watched beyond it. ${outcomes.join(
+        " · "
+      )} · No check-in: ${noCheckIn}.`
+    : "No intentions in this range. Turn the prompt on in the Settings tab.";
+
+  const list = document.getElementById("intention-list");
+  list.innerHTML = "";
+  intentions.slice(0, MAX_LISTED_INTENTIONS).forEach((intention) => {
+    const watchedMins = Math.round(intention.watchedMs / MIN_TO_MS);
+    const cells = [
+      intention.dateKey,
+      intention.title || intention.url,
+      intention.intent,
+      `${intention.minutes} min`,
+      `${watchedMins} min${isBeyondIntent(intention) ? " ⚠️" : ""}`,
+      INTENTION_OUTCOMES[intention.outcome] || "—",
+    ];
+    const row = document.createElement("tr");
+    cells.forEach((text) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Summarizes the focus sessions that started in the range (see focus.js),
+ * completed and abandoned, and lists them newest first.
+ * @param {string[]} rangeDays - The selected range.
+ */
+function renderFocusSessions(records, settings, rangeDays) {
+  const sessions = (records[FOCUS_LOG_KEY] || [])
+    .filter((s) =>
+      rangeDays.includes(
+        getDateKey(new Date(s.startedAt), settings.dayStartHour)
+      )
+    )
+    .reverse();
+  const completed = sessions.filter((s) => s.status === "completed").length;
+  const focusedMins = Math.round(
+    sessions.reduce((sum, s) => sum + s.focusedMs, 0) / MIN_TO_MS
+  );
+
+  document.getElementById("focus-summary").textContent = sessions.length
+    ? `${completed} completed, ${
+        sessions.length - completed
+      } abandoned, ${focusedMins} min of focus in all.`
+    : "No focus sessions in this range. Start one from the popup.";
+
+  const list = document.getElementById("focus-list");
+  list.innerHTML = "";
+  sessions.forEach((session) => {
+    const names = session.categories.map((id) => {
+      const cat = settings.categories.find((c) => c.id === id);
+      return cat ? `${cat.emoji || ""} ${cat.name}`.trim() : `${id} (deleted)`;
+    });
+    const rounds =
+      session.rounds > 1
+        ? `${session.rounds} × ${session.focusMinutes} min`
+        : `${session.focusMinutes} min`;
+    const cells = [
+      new Date(session.startedAt).toLocaleString(),
+      names.join(", "),
+      rounds,
+      `${Math.round(session.focusedMs / MIN_TO_MS)} min`,
+      session.status === "completed" ? "✅ Completed" : "✋ Abandoned",
+    ];
+    const row = document.createElement("tr");
+    cells.forEach((text) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Draws a calendar of the last weeks for one category, one column per
+ * week (Monday on top), shaded by how much of the daily limit was used.
+ */
+function renderHeatmap(records, categories, today) {
+  const select = document.getElementById("heatmap-category");
+  const selected = select.value || HEATMAP_DEFAULT_CATEGORY;
+  select.innerHTML = "";
+  categories.forEach((cat) => {
+    const option = document.createElement("option");
+    option.value = cat.id;
+    option.textContent = `${cat.emoji || ""} ${cat.name}`;
+    select.appendChild(option);
+  });
+  const category = categories.find((c) => c.id === selected) || categories[0];
+  select.value = category.id;
+
+  const weekday = (parseDateKey(today).getDay() + 6) % 7; // Monday = 0
+  const firstKey = shiftDateKey(today, -weekday - (HEATMAP_WEEKS - 1) * 7);
+
+  const heatmap = document.getElementById("heatmap");
+  heatmap.innerHTML = "";
+  listDateKeys(firstKey, today).forEach((dateKey) => {
+    const minutes = getDayMinutes(records, dateKey, category.id);
+    const limit = getDailyLimit(category, parseDateKey(dateKey));
+    const cell = document.createElement("div");
+    cell.className = "heatmap-day";
+    if (minutes > 0) {
+      const share = limit > 0 ? Math.min(1, minutes / limit) : 1;
+      const percent = Math.round(25 + share * 75);
+      cell.style.backgroundColor = `color-mix(in srgb, ${category.color} ${percent}%, transparent)`;
+    }
+    if (minutes > limit) cell.classList.add("over-limit");
+    cell.title = `${dateKey}: ${Math.round(minutes)} min (limit ${limit} min)`;
+    heatmap.appendChild(cell);
+  });
+}
@@ -0,0 +1,282 @@
+// --- SHARED CONSTANTS & SETTINGS HELPERS ---
+// Loaded by the service worker (importScripts), the popup, the settings page
+// and the content script.
+
+const MIN_TO_MS = 60 * 1000;
+const DAY_TO_MS = 24 * 60 * MIN_TO_MS;
+const SETTINGS_KEY = "userSettings";
+const SHORTS_USAGE_KEY = "shortsUsage"; // { "YYYY-MM-DD": ms }
+// Daily stats are stored under their date: { "YYYY-MM-DD": { [categoryId]: ms } }
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * A category with no extra budgets, goal, schedule, channels or keywords,
+ * and the given fields on top.
+ * @param {object} fields - At least id, name, color and limit.
+ * @returns {object}
+ */
+function createCategory(fields) {
+  return {
+    id: "",
+    name: "",
+    emoji: "",
+    color: "",
+    limit: 0,
+    weeklyLimit: null,
+    rollingLimit: null,
+    weekendLimit: null,
+    goal: null,
+    goalDays: [0, 1, 2, 3, 4, 5, 6],
+    interventions: null,
+    schedule: [],
+    channels: [],
+    keywords: [],
+    description: "",
+    ...fields,
+  };
+}
+
+// The original four categories. Their ids match the keys already stored in
+// the daily stats records, so old data keeps showing up after the migration.
+const DEFAULT_CATEGORIES = [
+  createCategory({
+    id: "trash",
+    name: "Trash",
+    emoji: "🗑️",
+    color: "#bd0e0e",
+    limit: 0.5,
+    description: "Entertainment, gossip, memes, gaming, low-value content.",
+  }),
+  createCategory({
+    id: "interesting",
+    name: "Interesting",
+    emoji: "💡",
+    color: "#00acc1",
+    limit: 30,
+    description:
+      "Anything educational/commentary that doesn't fit the other categories.",
+  }),
+  createCategory({
+    id: "curriculum",
+    name: "Curriculum",
+    emoji: "🎓",
+    color: "#789f04",
+    limit: 60,
+    description: "Topics you are actively learning.",
+  }),
+  createCategory({
+    id: "phd",
+    name: "PhD",
+    emoji: "🔬",
+    color: "#7437a5",
+    limit: 9999,
+    description: "Deep, long-term research topics.",
+  }),
+];
+
+// The periods a category can be limited over, in the order they're checked.
+// `field` is the category property holding the limit in minutes; weekly and
+// rolling limits are optional (null).
+const BUDGET_PERIODS = [
+  { id: "daily", field: "limit", label: "Daily", span: "today" },
+  { id: "weekly", field: "weeklyLimit", label: "Weekly", span: "this week" },
+  {
+    id: "rolling",
+    field: "rollingLimit",
+    label: "Rolling 7-day",
+    span: "last 7 days",
+  },
+];
+
+// YouTube page parts that can be hidden, see DEFAULT_SETTINGS.surfaces and
+// applySettings() in sites/youtube.js.
+const DISTRACTION_SURFACES = [
+  { id: "homeFeed", label: "Home feed" },
+  { id: "related", label: "Related videos next to a video" },
+  { id: "comments", label: "Comments" },
+  { id: "autoplay", label: "Autoplay (switched off)" },
+  { id: "endScreens", label: "End screen cards and suggestions" },
+];
+
+// Answers to the check-in of a watch intention, see intentions.js
+const INTENTION_OUTCOMES = {
+  yes: "Got it",
+  partly: "Partly",
+  no: "Not really",
+};
+
+// Defaults for the scalar settings; categories are handled separately below.
+const DEFAULT_SETTINGS = {
+  maxCorrectionExamples: 5, // How many past AI mistakes go into the prompt
+  // Classifier backend, see LLM_PROVIDERS in LLM.js. Empty endpoint/model
+  // fall back to the provider's defaults.
+  llm: { provider: "gemini", endpoint: "", model: "", apiKey: "" },
+  rules: [], // Ordered categorization rules, see rules.js
+  // Channel names or IDs whose videos are always blocked. Each category
+  // also has its own `channels`, whose videos always go there.
+  blockedChannels: [],
+  cacheTtlDays: 30, // How long AI labels are reused, see cache.js
+  // YouTube Shorts policy. mode: "ignore" (not tracked), "block",
+  // "count" (time counts against `category` and the Shorts `limit` in
+  // minutes) or "redirect" (open as a normal watch page).
+  shorts: { mode: "ignore", category: "trash", limit: 10, hideShelf: false },
+  // Per DISTRACTION_SURFACES id: "show", "hide" or "auto" (hidden once
+  // `autoCategory` has been watched for `autoMinutes` today). Missing = show.
+  surfaces: { modes: {}, autoCategory: "trash", autoMinutes: 10 },
+  // Which time counts: "playing" (only while the video actually plays) or
+  // "focused" (while the tab is focused and the user isn't idle).
+  timeAccounting: "playing",
+  // When to remind about daily goals that aren't met yet ("HH:MM", local
+  // time; empty = never), see getDailyGoal() in schedule.js.
+  goalReminderTime: "20:00",
+  // Hour (0-23, local time) at which a new day starts for stats and limits,
+  // e.g. 4 so that watching past midnight still counts for the evening.
+  dayStartHour: 0,
+  // "Five more minutes" overrides, see overrides.js: how long one lasts, how
+  // long the user has to wait before it's granted and how many per day.
+  overrides: { minutes: 5, waitSeconds: 30, dailyCap: 2 },
+  // Advance warnings: notify at `percent` % of a limit and with
+  // `minutesLeft` left (0 = off), show a countdown on the player during the
+  // last `countdownMinutes` and optionally fade the video out at the end.
+  warnings: {
+    percent: 80,
+    minutesLeft: 1,
+    countdownMinutes: 2,
+    fadeOut: false,
+  },
+  // Ask what a video is for and for how long before it plays, and check in
+  // when that time is up, see intentions.js.
+  intentions: { enabled: false, defaultMinutes: 10 },
+  // The choices last used to start a focus session from the popup, see
+  // focus.js: allowed categories, round and break length, number of rounds.
+  focus: { categories: [], focusMinutes: 50, breakMinutes: 10, rounds: 1 },
+  // Reflection journal, see journal.js: write the AI questions when a day
+  // ends, and whether the titles watched go into the prompt.
+  journal: { auto: true, includeTitles: true },
+};
+
+/**
+ * Fills in defaults for a stored settings object.
+ * Settings saved before categories were user-defined only had fixed
+ * `limits` and `keywords` maps; those are folded into the default categories.
+ * @param {object} [saved] - The raw value stored under SETTINGS_KEY.
+ * @returns {object} Settings with a non-empty `categories` array.
+ */
+function normalizeSettings(saved) {
+  const settings = { ...DEFAULT_SETTINGS, ...(saved || {}) };
+
+  if (!Array.isArray(settings.categories) || !settings.categories.length) {
+    settings.categories = DEFAULT_CATEGORIES.map((cat) => ({
+      ...cat,
+      limit: settings.limits?.[cat.id] ?? cat.limit,
+      keywords: settings.keywords?.[cat.id] || [],
+    }));
+  }
+  delete settings.limits;
+  delete settings.keywords;
+
+  return settings;
+}
+
+/**
+ * Reads and normalizes the user settings from storage.
+ * @returns {Promise<object>}
+ */
+async function getUserSettings() {
+  const data = await chrome.storage.local.get(SETTINGS_KEY);
+  return normalizeSettings(data[SETTINGS_KEY]);
+}
+
+/**
+ * Creates a `{ [categoryId]: 0 }` stats record for the given categories.
+ * @param {object[]} categories
+ * @returns {Object<string, number>}
+ */
+function createEmptyStats(categories) {
+  const stats = {};
+  categories.forEach((cat) => (stats[cat.id] = 0));
+  return stats;
+}
+
+/**
+ * The "YYYY-MM-DD" key daily stats are stored under: the local date, where
+ * a day runs from `dayStartHour` to `dayStartHour` the next morning.
+ * @param {Date} [date]
+ * @param {number} [dayStartHour] - See DEFAULT_SETTINGS.dayStartHour.
+ * @returns {string}
+ */
+function getDateKey(date = new Date(), dayStartHour = 0) {
+  const day = getDayStart(date, dayStartHour);
+  const month = String(day.getMonth() + 1).padStart(2, "0");
+  const dayOfMonth = String(day.getDate()).padStart(2, "0");
+  return `${day.getFullYear()}-${month}-${dayOfMonth}`;
+}
+
+/**
+ * When the day `date` belongs to started.
+ * @param {Date} [date]
+ * @param {number} [dayStartHour]
+ * @returns {Date}
+ */
+function getDayStart(date = new Date(), dayStartHour = 0) {
+  const start = new Date(date);
+  start.setHours(dayStartHour, 0, 0, 0);
+  if (start > date) start.setDate(start.getDate() - 1);
+  return start;
+}
+
+/**
+ * When the day after the one `date` belongs to starts.
+ * @param {Date} [date]
+ * @param {number} [dayStartHour]
+ * @returns {Date}
+ */
+function getNextDayStart(date = new Date(), dayStartHour = 0) {
+  const next = getDayStart(date, dayStartHour);
+  next.setDate(next.getDate() + 1);
+  return next;
+}
+
+/**
+ * The daily stats keys a budget period covers, up to and including today:
+ * just today, the week so far (weeks start on Monday) or the last 7 days.
+ * @param {"daily"|"weekly"|"rolling"} periodId
+ * @param {Date} [now]
+ * @param {number} [dayStartHour]
+ * @returns {string[]}
+ */
+function getPeriodDateKeys(periodId, now = new Date(), dayStartHour = 0) {
+  // Stepping calendar days (not 24 hours) stays right across DST changes
+  const day = getDayStart(now, dayStartHour);
+  const dayCount = {
+    daily: 1,
+    weekly: ((day.getDay() + 6) % 7) + 1, // Days since Monday, inclusive
+    rolling: 7,
+  }[periodId];
+
+  const keys = [];
+  for (let i = 0; i < dayCount; i++) {
+    keys.push(getDateKey(day, dayStartHour));
+    day.setDate(day.getDate() - 1);
+  }
+  return keys;
+}
+
+/**
+ * Describes what's left of a category's budgets, e.g.
+ * "95 min left this week · 120 min left last 7 days".
+ * @param {object} [budgets] - One category's entry from getBudgetUsage().
+ * @param {string[]} [periodIds] - Which periods to include (default all).
+ * @returns {string} Empty if the category has no such budgets.
+ */
+function describeRemainingBudgets(budgets, periodIds) {
+  return BUDGET_PERIODS.filter(
+    (p) => budgets?.[p.id] && (!periodIds || periodIds.includes(p.id))
+  )
+    .map((p) => {
+      const { usedMs, limitMs } = budgets[p.id];
+      const leftMins = Math.max(0, Math.round((limitMs - usedMs) / MIN_TO_MS));
+      return `${leftMins} min left ${p.span}`;
+    })
+    .join(" · ");
+}
@@ -0,0 +1,98 @@
+// --- SITE ADAPTERS ---
+// Everything site-specific lives in an adapter (sites/youtube.js,
+// sites/reddit.js). Each adapter provides:
+//   id, name                 - e.g. "youtube", "YouTube"
+//   matchesUrl(url)          - whether the adapter handles this URL
+//   getItemId(url)           - ID of the content item (video, post...) on
+//                              this URL, or null for pages that aren't timed
+//   getItemInfo()            - content script: `{ site, itemId, kind, title,
+//                              channel, channelId, url, isShorts }`
+//   onNavigate(callback)     - content script: SPA navigation detection
+//   block(reason), unblock() - content script: how to block the page
+//   isPlaying()              - content script: whether the item is being
+//                              watched right now (see "playing" accounting)
+//   getPlayer()              - content script: element the countdown badge
+//                              goes on, or null to show it on the page
+//   applySettings(settings, hiddenSurfaces)
+//                            - content script: site-specific page tweaks,
+//                              with the DISTRACTION_SURFACES ids to hide
+// Loaded after the adapters by the service worker, the popup and the
+// content script.
+
+const BLOCKER_OVERLAY_ID = "mindfulness-blocker-overlay";
+
+const SITE_ADAPTERS = [YOUTUBE_SITE, REDDIT_SITE];
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return "";
+  }
+}
+
+/**
+ * @param {string} url
+ * @returns {object|null} The adapter handling this URL.
+ */
+function getSiteAdapter(url) {
+  return SITE_ADAPTERS.find((site) => site.matchesUrl(url)) || null;
+}
+
+/**
+ * The content item ID of a URL on any supported site.
+ * @param {string} url
+ * @returns {string|null}
+ */
+function getItemIdFromUrl(url) {
+  const site = getSiteAdapter(url);
+  return site ? site.getItemId(url) : null;
+}
+
+/**
+ * Whether any <video> on the page is actually playing (not paused, ended
+ * or buffering).
+ * @returns {boolean}
+ */
+function isAnyVideoPlaying() {
+  return [...document.querySelectorAll("video")].some(
+    (video) => !video.paused && !video.ended && video.readyState > 2
+  );
+}
+
+// --- Shared page blocking (content script) ---
+
+// Keeps every video paused while the page is blocked (e.g. Shorts autoplay)
+function pauseOnPlay(event) {
+  if (event.target instanceof HTMLVideoElement) event.target.pause();
+}
+
+/**
+ * Covers the whole page with the blocker overlay.
+ * @param {string} reason
+ */
+function blockPage(reason) {
+  document.querySelectorAll("video").forEach((video) => video.pause());
+  document.addEventListener("play", pauseOnPlay, true);
+
+  if (document.getElementById(BLOCKER_OVERLAY_ID)) return;
+  const overlay = document.createElement("div");
+  overlay.id = BLOCKER_OVERLAY_ID;
+  overlay.className = "blocker-full-page";
+  overlay.innerHTML = `<div class="blocker-text"></div>`;
+  overlay.querySelector(".blocker-text").textContent = reason;
+  document.body.appendChild(overlay);
+  console.log("Full-page blocker overlay added.");
+}
+
+/**
+ * Removes any blocker overlay, full-page or not.
+ */
+function unblockPage() {
+  document.removeEventListener("play", pauseOnPlay, true);
+  const overlay = document.getElementById(BLOCKER_OVERLAY_ID);
+  if (overlay) {
+    overlay.remove();
+    console.log("Blocker overlay removed.");
+  }
+}
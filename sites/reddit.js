@@ -0,0 +1,109 @@
+// --- REDDIT SITE ADAPTER ---
+// Posts and subreddit pages are classified and timed like videos; the front
+// page and user profiles are not tracked. See sites/adapters.js.
+
+const REDDIT_SITE = {
+  id: "reddit",
+  name: "Reddit",
+
+  matchesUrl(url) {
+    return /(^|\.)reddit\.com$/.test(getHostname(url));
+  },
+
+  /**
+   * Splits a Reddit URL into its subreddit and post ID (if any).
+   * @param {string} url
+   * @returns {{subreddit: string, postId: string|null}|null}
+   */
+  parseUrl(url) {
+    try {
+      const match = new URL(url).pathname.match(
+        /^\/r\/([^/]+)(?:\/comments\/([^/]+))?/i
+      );
+      if (!match) return null;
+      return { subreddit: match[1], postId: match[2] || null };
+    } catch (e) {
+      return null;
+    }
+  },
+
+  /**
+   * "reddit:<postId>" for posts, "reddit:r/<name>" for subreddit pages.
+   * The prefix keeps Reddit IDs apart from YouTube video IDs in the cache.
+   */
+  getItemId(url) {
+    const parsed = this.parseUrl(url);
+    if (!parsed) return null;
+    return parsed.postId
+      ? `reddit:${parsed.postId}`
+      : `reddit:r/${parsed.subreddit.toLowerCase()}`;
+  },
+
+  // --- Content script side ---
+
+  getTitle() {
+    const parsed = this.parseUrl(location.href);
+    // New Reddit keeps the clean post title on the <shreddit-post> element
+    const post = document.querySelector("shreddit-post");
+    if (parsed && parsed.postId && post && post.getAttribute("post-title")) {
+      return post.getAttribute("post-title").trim();
+    }
+
+    const title = document.title
+      .replace(/ - Reddit$/, "")
+      .replace(/ : r\/[^ ]+$/, "")
+      .trim();
+    if (parsed && !parsed.postId && !title.includes(`r/${parsed.subreddit}`)) {
+      return `r/${parsed.subreddit}: ${title}`;
+    }
+    return title;
+  },
+
+  getItemInfo() {
+    const parsed = this.parseUrl(location.href);
+    return {
+      site: this.id,
+      itemId: this.getItemId(location.href),
+      kind: parsed && parsed.postId ? "Reddit post" : "subreddit",
+      isShorts: false,
+      title: this.getTitle(),
+      // The subreddit plays the role of the channel for rules and lists
+      channel: parsed ? `r/${parsed.subreddit}` : "",
+      channelId: parsed ? parsed.subreddit : "",
+      url: location.href,
+    };
+  },
+
+  // Reddit doesn't announce its client-side navigations, so watch the URL.
+  onNavigate(callback) {
+    let lastUrl = location.href;
+    const check = () => {
+      if (location.href === lastUrl) return;
+      lastUrl = location.href;
+      callback();
+    };
+    window.addEventListener("popstate", check);
+    setInterval(check, 1000);
+  },
+
+  getPlayer() {
+    return null;
+  },
+
+  // Posts are read rather than played, so time on the page always counts
+  isPlaying() {
+    return true;
+  },
+
+  // There's no single player to cover, so block the whole page
+  block(reason) {
+    blockPage(reason);
+  },
+
+  unblock() {
+    unblockPage();
+  },
+
+  // The distraction surfaces are YouTube's
+  async applySettings() {},
+};
@@ -0,0 +1,170 @@
+// --- YOUTUBE SITE ADAPTER ---
+// See sites/adapters.js for what every adapter provides. The URL helpers are
+// used by the service worker, the DOM helpers only by the content script.
+
+const YOUTUBE_PLAY_BUTTON_SELECTOR = "button.ytp-play-button.ytp-button";
+const HIDE_SHORTS_SHELF_CLASS = "focusme-hide-shorts-shelf";
+// The class on <html> that hides each of the DISTRACTION_SURFACES (styles
+// in blocker.css). Autoplay is also switched off in the player.
+const SURFACE_CLASSES = {
+  homeFeed: "focusme-hide-home-feed",
+  related: "focusme-hide-related",
+  comments: "focusme-hide-comments",
+  autoplay: "focusme-hide-autoplay",
+  endScreens: "focusme-hide-end-screens",
+};
+
+const YOUTUBE_SITE = {
+  id: "youtube",
+  name: "YouTube",
+
+  matchesUrl(url) {
+    return /(^|\.)youtube\.com$/.test(getHostname(url));
+  },
+
+  /**
+   * Extracts the video ID from a YouTube Shorts URL (`/shorts/ID`).
+   * @param {string} url
+   * @returns {string|null}
+   */
+  getShortsId(url) {
+    try {
+      const match = new URL(url).pathname.match(/^\/shorts\/([^/]+)/);
+      return match ? match[1] : null;
+    } catch (e) {
+      return null;
+    }
+  },
+
+  /**
+   * The video ID of a `watch?v=` or `/shorts/ID` page, null elsewhere.
+   * Plain video IDs keep cache entries from before adapters existed valid.
+   */
+  getItemId(url) {
+    try {
+      return new URL(url).searchParams.get("v") || this.getShortsId(url);
+    } catch (e) {
+      return null;
+    }
+  },
+
+  // --- Content script side ---
+
+  getTitle() {
+    // Strip the common YouTube suffix for a clean title
+    return document.title.replace(/ - YouTube$/, "").trim();
+  },
+
+  // The channel link under the video (the owner box of the watch page)
+  getChannelLink() {
+    return document.querySelector(
+      "ytd-watch-metadata #owner #channel-name a, #owner #channel-name a"
+    );
+  },
+
+  getItemInfo() {
+    const channelLink = this.getChannelLink();
+    let channelId = "";
+    if (channelLink && channelLink.href) {
+      // The last part of the channel URL: "@handle" or "UC..." for older links
+      const path = new URL(channelLink.href).pathname.split("/");
+      channelId = path.filter(Boolean).pop() || "";
+    }
+    const isShorts = !!this.getShortsId(location.href);
+
+    return {
+      site: this.id,
+      itemId: this.getItemId(location.href),
+      kind: isShorts ? "YouTube Short" : "YouTube video",
+      isShorts,
+      title: this.getTitle(),
+      channel: channelLink ? channelLink.textContent.trim() : "",
+      channelId,
+      url: location.href,
+    };
+  },
+
+  // YouTube is a Single Page App. "yt-navigate-finish" is the custom event
+  // that fires every time a new "page" (video) loads within the same tab.
+  onNavigate(callback) {
+    document.addEventListener("yt-navigate-finish", callback);
+  },
+
+  getPlayer() {
+    if (this.getShortsId(location.href)) return null;
+    return document.querySelector(".html5-video-player");
+  },
+
+  // Ads play in the same <video> element, so check the player's ad state too
+  isPlaying() {
+    if (document.querySelector(".html5-video-player.ad-showing")) return false;
+    return isAnyVideoPlaying();
+  },
+
+  block(reason) {
+    // The Shorts player is recycled while swiping, so block the whole page
+    if (this.getShortsId(location.href)) {
+      blockPage(reason);
+      return;
+    }
+
+    const videoPlayer = document.querySelector(".html5-video-player");
+    if (!videoPlayer) return;
+
+    // A. Find and disable the play button
+    const playButton = videoPlayer.querySelector(YOUTUBE_PLAY_BUTTON_SELECTOR);
+    if (playButton) {
+      const isPlaying =
+        playButton.getAttribute("data-title-no-tooltip") === "Pause";
+      if (isPlaying) {
+        playButton.click();
+      }
+      playButton.disabled = true;
+      console.log("Play button disabled.");
+    }
+
+    // B. Add the overlay (if it doesn't exist)
+    if (document.getElementById(BLOCKER_OVERLAY_ID)) return;
+    const overlay = document.createElement("div");
+    overlay.id = BLOCKER_OVERLAY_ID;
+    overlay.innerHTML = `
+      <div class="blocker-text">
+        <span class="blocker-reason"></span>
+        <br>
+        This video is blocked until the limit resets.
+      </div>
+    `;
+    overlay.querySelector(".blocker-reason").textContent = reason;
+    videoPlayer.appendChild(overlay);
+    console.log("Blocker overlay added.");
+  },
+
+  unblock() {
+    unblockPage();
+
+    // Find and re-enable the play button
+    const playButton = document.querySelector(YOUTUBE_PLAY_BUTTON_SELECTOR);
+    if (playButton) {
+      playButton.disabled = false;
+      console.log("Play button enabled.");
+    }
+  },
+
+  // Hides the Shorts shelves on the home page and the Shorts sidebar entry
+  // when the user asked for it, and the distraction surfaces that are
+  // hidden right now (styles in blocker.css).
+  async applySettings(settings, hiddenSurfaces = []) {
+    const root = document.documentElement;
+    root.classList.toggle(HIDE_SHORTS_SHELF_CLASS, settings.shorts.hideShelf);
+    for (const id in SURFACE_CLASSES) {
+      root.classList.toggle(SURFACE_CLASSES[id], hiddenSurfaces.includes(id));
+    }
+    if (hiddenSurfaces.includes("autoplay")) {
+      // The player's own toggle, so YouTube remembers it as well
+      const toggle = document.querySelector(
+        '.ytp-autonav-toggle-button[aria-checked="true"]'
+      );
+      if (toggle) toggle.click();
+    }
+  },
+};
@@ -0,0 +1,330 @@
+// --- SYNC ACROSS DEVICES ---
+// The settings and the recent daily totals are mirrored to
+// chrome.storage.sync, so the limits hold across all of the user's browsers.
+// Everything else (history, cache, journal...) stays on each device.
+//
+// Settings: one synced entry per top-level setting, split into chunks that
+// fit the per-item quota. Each entry says when and on which device it was
+// last edited, and on a conflict the latest edit of that setting wins, so
+// edits to different settings on two devices are both kept. A device that
+// syncs for the first time takes the settings that are already synced.
+//
+// Stats: every device only writes its own daily totals, so no write can
+// overwrite another device's; the total of a day is the sum of them all.
+//
+// Writes are batched (at most one per edit, and one a minute for the stats)
+// to stay under the write quotas, and what fails is retried every minute.
+// Loaded by the service worker (importScripts) and the settings page.
+
+const SYNC_STATE_KEY = "syncState"; // This device's bookkeeping, never synced
+const SYNC_SETTINGS_PREFIX = "settings."; // + setting, chunks + ".0", ".1"...
+const SYNC_STATS_PREFIX = "stats."; // + device id
+const SYNC_STATS_DAYS = 30; // Days of totals each device shares
+// Settings that stay on each device: the AI endpoint may be a local server,
+// and API keys aren't shared.
+const LOCAL_ONLY_SETTINGS = ["llm"];
+
+/**
+ * @typedef {object} SyncState
+ * @property {string} deviceId
+ * @property {Object<string, number>} edits - Per setting, when the value
+ *   this device has was edited (here or on the device it came from).
+ * @property {string[]} pending - Settings edited here, not synced yet.
+ * @property {number|null} lastSyncAt - Epoch ms.
+ * @property {string|null} error - Why the last sync failed, if it did.
+ */
+
+let syncQueue = Promise.resolve(); // Settles when the queued syncs are done
+
+/**
+ * @returns {Promise<SyncState>}
+ */
+async function getSyncState() {
+  const data = await chrome.storage.local.get(SYNC_STATE_KEY);
+  return {
+    deviceId: crypto.randomUUID(),
+    edits: {},
+    pending: [],
+    lastSyncAt: null,
+    error: null,
+    ...data[SYNC_STATE_KEY],
+  };
+}
+
+/**
+ * Runs a sync step after the ones already queued, with this device's state,
+ * and records whether it worked. A failure (typically a quota) is logged and
+ * kept for the settings page; the pending settings stay pending.
+ * @param {(state: SyncState) => Promise<void>} step - May change the state.
+ */
+function runSyncStep(step) {
+  const run = syncQueue.then(async () => {
+    const state = await getSyncState();
+    try {
+      await step(state);
+      state.lastSyncAt = Date.now();
+      state.error = null;
+    } catch (err) {
+      console.warn(`🔄 Sync failed, retrying later: ${err.message}`);
+      state.error = err.message;
+    }
+    await chrome.storage.local.set({ [SYNC_STATE_KEY]: state });
+  });
+  syncQueue = run.catch((err) => console.error("Sync step failed:", err));
+  return run;
+}
+
+// --- Settings ---
+
+/**
+ * The top-level settings that are synced.
+ * @param {object} settings - Normalized settings.
+ * @returns {string[]}
+ */
+function getSyncedFields(settings) {
+  return Object.keys(settings).filter(
+    (field) => !LOCAL_ONLY_SETTINGS.includes(field)
+  );
+}
+
+/**
+ * Bytes an item takes up in the sync quota.
+ */
+function getSyncItemSize(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * Splits a setting's JSON into strings that each fit in a sync item.
+ * @param {string} key - The setting's sync key, chunk i goes under key.i
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitIntoChunks(key, text) {
+  const chunks = [];
+  for (let start = 0; start < text.length; ) {
+    let end = text.length;
+    const chunkKey = `${key}.${chunks.length}`;
+    while (
+      getSyncItemSize(chunkKey, text.slice(start, end)) >
+      chrome.storage.sync.QUOTA_BYTES_PER_ITEM
+    ) {
+      end = start + Math.ceil((end - start) / 2);
+      // Never split an emoji (or any surrogate pair) in two
+      if (/[\ud800-\udbff]/.test(text[end - 1])) end--;
+    }
+    chunks.push(text.slice(start, end));
+    start = end;
+  }
+  return chunks;
+}
+
+/**
+ * The synced settings, put back together from their chunks.
+ * @param {object} items - Everything in chrome.storage.sync.
+ * @returns {Object<string, {value: any, editedAt: number, deviceId: string}>}
+ *   Settings whose chunks haven't all arrived yet are left out.
+ */
+function readSyncedSettings(items) {
+  const synced = {};
+  for (const key in items) {
+    const field = key.slice(SYNC_SETTINGS_PREFIX.length);
+    if (!key.startsWith(SYNC_SETTINGS_PREFIX) || field.includes(".")) continue;
+    const { editedAt, deviceId, chunks } = items[key];
+    const parts = [];
+    for (let i = 0; i < chunks; i++) parts.push(items[`${key}.${i}`]);
+    if (parts.some((part) => typeof part !== "string")) continue;
+    try {
+      synced[field] = { value: JSON.parse(parts.join("")), editedAt, deviceId };
+    } catch {
+      // Chunks of two different edits, the rest is on its way
+    }
+  }
+  return synced;
+}
+
+/**
+ * Marks the settings the user just changed on this device as edited, so
+ * they are synced. Called with both versions whenever the stored settings
+ * change; values that were just taken from sync aren't edits.
+ * @param {object} [oldValue] - The stored settings before the change.
+ * @param {object} [newValue] - And after it.
+ * @returns {Promise<void>}
+ */
+function syncSettingsChange(oldValue, newValue) {
+  return runSyncStep(async (state) => {
+    const synced = readSyncedSettings(await chrome.storage.sync.get(null));
+    const before = normalizeSettings(oldValue);
+    const after = normalizeSettings(newValue);
+    for (const field of getSyncedFields(after)) {
+      const json = JSON.stringify(after[field]);
+      if (json === JSON.stringify(before[field])) continue;
+      if (json === JSON.stringify(synced[field]?.value)) continue;
+      state.edits[field] = Date.now();
+      if (!state.pending.includes(field)) state.pending.push(field);
+    }
+    await pushPendingSettings(state);
+  });
+}
+
+/**
+ * Takes the settings edited more recently on other devices, and pushes the
+ * ones edited here (including those never synced yet).
+ * @returns {Promise<void>}
+ */
+function syncSettings() {
+  return runSyncStep(async (state) => {
+    const synced = readSyncedSettings(await chrome.storage.sync.get(null));
+    const data = await chrome.storage.local.get(SETTINGS_KEY);
+    const settings = normalizeSettings(data[SETTINGS_KEY]);
+    let changed = false;
+
+    for (const field in synced) {
+      if (LOCAL_ONLY_SETTINGS.includes(field)) continue;
+      const remote = synced[field];
+      // Ours is newer: pending, or already the one in sync
+      if (remote.editedAt <= (state.edits[field] || 0)) continue;
+      state.edits[field] = remote.editedAt;
+      state.pending = state.pending.filter((f) => f !== field);
+      if (JSON.stringify(remote.value) !== JSON.stringify(settings[field])) {
+        console.log(`🔄 "${field}" was changed on another device`);
+        settings[field] = remote.value;
+        changed = true;
+      }
+    }
+    for (const field of getSyncedFields(settings)) {
+      if (!synced[field] && !state.pending.includes(field)) {
+        state.edits[field] = state.edits[field] || Date.now();
+        state.pending.push(field);
+      }
+    }
+
+    if (changed) await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+    await pushPendingSettings(state);
+  });
+}
+
+/**
+ * Writes the pending settings to sync, in a single write.
+ * @param {SyncState} state - Its `pending` is emptied once written.
+ */
+async function pushPendingSettings(state) {
+  if (!state.pending.length) return;
+  const data = await chrome.storage.local.get(SETTINGS_KEY);
+  const settings = normalizeSettings(data[SETTINGS_KEY]);
+  const items = await chrome.storage.sync.get(null);
+  const updates = {};
+  const stale = [];
+
+  for (const field of state.pending) {
+    if (settings[field] === undefined) continue;
+    const key = SYNC_SETTINGS_PREFIX + field;
+    const chunks = splitIntoChunks(key, JSON.stringify(settings[field]));
+    updates[key] = {
+      editedAt: state.edits[field],
+      deviceId: state.deviceId,
+      chunks: chunks.length,
+    };
+    chunks.forEach((chunk, i) => (updates[`${key}.${i}`] = chunk));
+    // Chunks left over from a longer value
+    for (let i = chunks.length; `${key}.${i}` in items; i++) {
+      stale.push(`${key}.${i}`);
+    }
+  }
+  await chrome.storage.sync.set(updates);
+  if (stale.length) await chrome.storage.sync.remove(stale);
+  console.log(`🔄 Synced settings: ${state.pending.join(", ")}`);
+  state.pending = [];
+}
+
+// --- Stats ---
+
+/**
+ * The daily stats keys shared with the other devices, today first.
+ * @param {Date} [now]
+ * @param {number} [dayStartHour]
+ * @returns {string[]}
+ */
+function getSyncedDateKeys(now = new Date(), dayStartHour = 0) {
+  const day = getDayStart(now, dayStartHour);
+  const keys = [];
+  for (let i = 0; i < SYNC_STATS_DAYS; i++) {
+    keys.push(getDateKey(day, dayStartHour));
+    day.setDate(day.getDate() - 1);
+  }
+  return keys;
+}
+
+/**
+ * Shares this device's daily totals, if they changed, and removes the ones
+ * of devices that haven't synced for SYNC_STATS_DAYS, which would only
+ * take up quota.
+ * @param {Object<string, Object<string, number>>} days - `{ [dateKey]:
+ *   { [categoryId]: ms } }` of the days in getSyncedDateKeys().
+ * @returns {Promise<void>}
+ */
+function syncDeviceStats(days) {
+  return runSyncStep(async (state) => {
+    const key = SYNC_STATS_PREFIX + state.deviceId;
+    const items = await chrome.storage.sync.get(null);
+
+    const staleBefore = Date.now() - SYNC_STATS_DAYS * DAY_TO_MS;
+    const stale = Object.keys(items).filter(
+      (k) =>
+        k.startsWith(SYNC_STATS_PREFIX) &&
+        k !== key &&
+        items[k].updatedAt < staleBefore
+    );
+    if (stale.length) await chrome.storage.sync.remove(stale);
+
+    // The oldest days are left out if they don't all fit in one item
+    const dateKeys = Object.keys(days).sort();
+    const createItem = () => ({
+      updatedAt: Date.now(),
+      days: Object.fromEntries(dateKeys.map((k) => [k, days[k]])),
+    });
+    let item = createItem();
+    while (
+      dateKeys.length &&
+      getSyncItemSize(key, item) > chrome.storage.sync.QUOTA_BYTES_PER_ITEM
+    ) {
+      dateKeys.shift();
+      item = createItem();
+    }
+
+    if (JSON.stringify(items[key]?.days) === JSON.stringify(item.days)) return;
+    await chrome.storage.sync.set({ [key]: item });
+  });
+}
+
+/**
+ * The daily totals the user's other devices shared, added up.
+ * @returns {Promise<Object<string, Object<string, number>>>} `{ [dateKey]:
+ *   { [categoryId]: ms } }`
+ */
+async function getRemoteStats() {
+  const { deviceId } = await getSyncState();
+  const items = await chrome.storage.sync.get(null);
+  const totals = {};
+  for (const key in items) {
+    if (!key.startsWith(SYNC_STATS_PREFIX)) continue;
+    if (key === SYNC_STATS_PREFIX + deviceId) continue;
+    const { days } = items[key];
+    for (const dateKey in days) {
+      totals[dateKey] = addStats(totals[dateKey], days[dateKey]);
+    }
+  }
+  return totals;
+}
+
+/**
+ * Adds two `{ [categoryId]: ms }` records.
+ * @returns {Object<string, number>} A new record.
+ */
+function addStats(stats, moreStats) {
+  const sum = { ...(stats || {}) };
+  for (const categoryId in moreStats) {
+    sum[categoryId] = (sum[categoryId] || 0) + moreStats[categoryId];
+  }
+  return sum;
+}
@@ -0,0 +1,198 @@
+// The service worker's timer, limit and override handling, run against the
+// fake browser in helpers/extension.js.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension, at } = require("./helpers/extension");
+
+const MIN = 60 * 1000;
+
+function setup(now = at("2024-03-04", "10:00")) {
+  const ext = loadExtension(["background.js"], { now, activeTabId: 1 });
+  const advance = (ms) => (ext.clock.now += ms);
+  // A message from a tab's content script, answered like by the browser
+  const send = (tabId, message) =>
+    new Promise((resolve) => {
+      const [listener] = ext.chrome.runtime.onMessage.listeners;
+      const sender = { tab: { id: tabId } };
+      if (listener(message, sender, resolve) !== true) resolve();
+    });
+  return { ...ext, advance, send };
+}
+
+test("starting a timed tab again keeps the time counted so far", async () => {
+  const { run, advance } = setup();
+  await run(`attemptStartTimer(1, "interesting", { item: {} })`);
+  advance(10 * MIN);
+  // The popup's AI suggestion and tryAutoCategorize() both start the tab
+  await run(`attemptStartTimer(1, "interesting", { item: {} })`);
+  advance(1 * MIN);
+  await run("stopTimerAndSave(1)");
+
+  const stats = await run("getTodaysTotalStats()");
+  assert.equal(stats.interesting, 11 * MIN);
+});
+
+test("starting a timed tab in another category records the old one", async () => {
+  const { run, advance } = setup();
+  await run(`attemptStartTimer(1, "interesting", { item: {} })`);
+  advance(10 * MIN);
+  await run(`attemptStartTimer(1, "curriculum", { item: {} })`);
+  advance(1 * MIN);
+  await run("stopTimerAndSave(1)");
+
+  const stats = await run("getTodaysTotalStats()");
+  assert.equal(stats.interesting, 10 * MIN);
+  assert.equal(stats.curriculum, 1 * MIN);
+});
+
+test("an override is only granted once the form's wait is over", async () => {
+  const { run, advance, send } = setup();
+  await run(`attemptStartTimer(1, "trash", { item: {} })`);
+  advance(1 * MIN); // Past the 30 s daily limit of Trash
+  assert.ok(await run("getLimitReason({ category: 'trash' })"));
+  const reason = "I need the end of this talk for work";
+
+  // Straight to the background, without the form's countdown
+  let response = await send(1, { action: "requestOverride", reason });
+  assert.equal(response.success, false);
+
+  const { waitSeconds } = await send(1, { action: "getOverrideStatus" });
+  advance((waitSeconds - 1) * 1000);
+  response = await send(1, { action: "requestOverride", reason });
+  assert.equal(response.success, false);
+
+  advance(1000);
+  response = await send(1, { action: "requestOverride", reason });
+  assert.equal(response.success, true);
+  assert.equal(await run("getLimitReason({ category: 'trash' })"), null);
+});
+
+test("a tab of a deleted category isn't blocked", async () => {
+  const { run, advance } = setup();
+  await run(`attemptStartTimer(1, "trash", { item: {} })`);
+  advance(1 * MIN);
+  await run(`
+    userSettings.categories = userSettings.categories.filter(
+      (c) => c.id !== "trash"
+    )
+  `);
+  assert.equal(await run("getLimitReason({ category: 'trash' })"), null);
+});
+
+test("a focus session blocks even an overridden category, for good", async () => {
+  const { chrome, run, advance, send } = setup();
+  await run(`attemptStartTimer(1, "trash", { item: {} })`);
+  advance(1 * MIN);
+  const { waitSeconds } = await send(1, { action: "getOverrideStatus" });
+  advance(waitSeconds * 1000);
+  const reason = "I need the end of this talk for work";
+  await send(1, { action: "requestOverride", reason });
+  assert.equal(await run("getLimitReason({ category: 'trash' })"), null);
+
+  await run(`startFocusSession({
+    categories: ["curriculum"], focusMinutes: 25, breakMinutes: 0, rounds: 1
+  })`);
+  assert.match(await run("getLimitReason({ category: 'trash' })"), /Focus/);
+  const blocked = chrome.tabs.sentMessages.at(-1).message;
+  assert.equal(blocked.action, "blockVideo");
+  assert.equal(blocked.overridable, false);
+
+  await send(1, { action: "getOverrideStatus" });
+  advance(waitSeconds * 1000);
+  const response = await send(1, { action: "requestOverride", reason });
+  assert.equal(response.success, false);
+});
+
+test("leaving a post for an untimed page stops its timer", async () => {
+  const { chrome, run, advance } = setup();
+  const [onUpdated] = chrome.tabs.onUpdated.listeners;
+  const item = { site: "reddit", itemId: "reddit:abc123" };
+  await run(`attemptStartTimer(1, "trash", { item: ${JSON.stringify(item)} })`);
+  advance(5 * MIN);
+  await run("proactivelyCheckLimits()"); // Past the 30 s limit of Trash
+  await onUpdated(1, { url: "https://www.reddit.com/" }, {});
+  advance(20 * MIN);
+
+  assert.equal(await run("getTimer(1)"), null);
+  const stats = await run("getTodaysTotalStats()");
+  assert.equal(stats.trash, 5 * MIN);
+  // The front page isn't blocked any more
+  const { tabId, message } = chrome.tabs.sentMessages.at(-1);
+  assert.equal(tabId, 1);
+  assert.equal(message.action, "unblockVideo");
+});
+
+test("a hung AI at the day start doesn't hold up the limits", async () => {
+  const requests = [];
+  // Answers once the test is over, so the request's timeout is cleared
+  const fetch = () =>
+    new Promise((resolve, reject) => requests.push(() => reject(new Error())));
+  const ext = loadExtension(["background.js"], {
+    now: at("2024-03-05", "00:00"),
+    activeTabId: 1,
+    globals: { fetch },
+  });
+  Object.assign(ext.chrome.storage.local.data, {
+    userSettings: { llm: { provider: "ollama" } },
+    "2024-03-04": { trash: 20 * MIN }, // Yesterday needs a journal entry
+  });
+  await ext.run(`attemptStartTimer(1, "trash", { item: {} })`);
+  ext.clock.now += 1 * MIN; // Past the 30 s limit of Trash
+
+  const [onAlarm] = ext.chrome.alarms.onAlarm.listeners;
+  onAlarm({ name: "checkLimits" });
+  for (let i = 0; i < 100 && !requests.length; i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  const blocked = () =>
+    ext.chrome.tabs.sentMessages.some((m) => m.message.action === "blockVideo");
+  for (let i = 0; i < 100 && !blocked(); i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  assert.equal(requests.length, 1);
+  assert.ok(blocked());
+  requests.forEach((answer) => answer());
+});
+
+test("limit warnings count towards a hard block past the limit", async () => {
+  const { chrome, run, advance } = setup();
+  await run(`attemptStartTimer(1, "interesting", { item: {} })`);
+  // 30 min a day, blocked at 200 %: 60 min
+  await run(`
+    userSettings.categories.find((c) => c.id === "interesting")
+      .interventions = { block: 200 }
+  `);
+  const warn = async () => {
+    await run("getTimer(1).then(checkLimitWarnings)");
+    return chrome.notifications.created.map((n) => n.title);
+  };
+
+  advance(25 * MIN); // 83 % of the limit, 42 % of the block
+  assert.deepEqual(await warn(), []);
+  advance(24 * MIN); // 82 % of the block
+  assert.deepEqual(await warn(), ["💡 Interesting: 80% used"]);
+  advance(10 * MIN); // 1 min left
+  assert.deepEqual(await warn(), [
+    "💡 Interesting: 80% used",
+    "💡 Interesting: 1 min left",
+  ]);
+});
+
+test("watch history past its 90 days is dropped at the day check", async () => {
+  const { chrome, run } = setup(at("2024-06-01", "10:00"));
+  const data = chrome.storage.local.data;
+  Object.assign(data, {
+    "history_2024-03-03": [{ startTime: 1 }], // 90 days ago
+    "history_2024-03-04": [{ startTime: 2 }], // The first of the last 90 days
+    "history_2024-05-31": [{ startTime: 3 }],
+    "2024-03-03": { trash: MIN }, // The daily totals stay
+  });
+  await run("ensureSettingsLoaded().then(handleNewDayCheck)");
+
+  assert.deepEqual(
+    Object.keys(data).filter((key) => /\d{4}-/.test(key)),
+    ["history_2024-03-04", "history_2024-05-31", "2024-03-03"]
+  );
+});
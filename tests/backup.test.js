@@ -0,0 +1,59 @@
+// Backups leave out what stays on each device (see LOCAL_ONLY_SETTINGS in
+// sync.js), and importing one doesn't change it.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension } = require("./helpers/extension");
+
+// The settings page's modules, backup.js last
+const FILES = [
+  "shared.js",
+  "schedule.js",
+  "corrections.js",
+  "history.js",
+  "cache.js",
+  "journal.js",
+  "intentions.js",
+  "focus.js",
+  "sync.js",
+  "overrides.js",
+  "backup.js",
+];
+
+function setup(llm) {
+  const ext = loadExtension(FILES);
+  ext.chrome.storage.local.data.userSettings = {
+    dayStartHour: 4,
+    llm: { provider: "openai", endpoint: "", model: "", apiKey: llm },
+  };
+  return ext;
+}
+
+test("the API key isn't exported", async () => {
+  const { run } = setup("sk-secret");
+  const backup = JSON.stringify(await run("createBackup()"));
+  assert.ok(!backup.includes("sk-secret"));
+  assert.ok(backup.includes('"dayStartHour":4'));
+});
+
+test("importing a backup keeps this device's AI settings", async () => {
+  for (const mode of ["merge", "replace"]) {
+    const { chrome, run } = setup("sk-here");
+    const backup = {
+      format: "focusme-backup",
+      version: 1,
+      data: {
+        // Made before the key was left out
+        userSettings: {
+          dayStartHour: 6,
+          llm: { provider: "gemini", apiKey: "sk-there" },
+        },
+      },
+    };
+    await run(`planImport(${JSON.stringify(backup)}, "${mode}")
+      .then(applyImport)`);
+    const { llm } = chrome.storage.local.data.userSettings;
+    assert.equal(llm.apiKey, "sk-here", mode);
+    assert.equal(llm.provider, "openai", mode);
+  }
+});
@@ -0,0 +1,32 @@
+// The classification cache (cache.js) when several tabs are classified at
+// the same time.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension } = require("./helpers/extension");
+
+test("labels cached at the same time are all kept", async () => {
+  const { run } = loadExtension(["shared.js", "cache.js"]);
+  await run(`Promise.all(
+    Array.from({ length: 20 }, (_, i) =>
+      cacheClassification("youtube:" + i, "trash", "ai")
+    )
+  )`);
+  const cache = await run("getClassificationCache()");
+  assert.equal(Object.keys(cache).length, 20);
+});
+
+test("clearing keeps the user's labels of existing categories", async () => {
+  const { run } = loadExtension(["shared.js", "cache.js"]);
+  await run(`Promise.all([
+    cacheClassification("youtube:1", "trash", "ai"),
+    cacheClassification("youtube:2", "trash", "user"),
+    cacheClassification("youtube:3", "music", "user"),
+    clearClassificationCache({
+      keepUserLabels: true,
+      categoryIds: ["trash"],
+    }),
+  ])`);
+  const cache = await run("getClassificationCache()");
+  assert.deepEqual(Object.keys(cache), ["youtube:2"]);
+});
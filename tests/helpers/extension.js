@@ -0,0 +1,168 @@
+// --- TEST HELPERS ---
+// Runs the extension's classic scripts under node, in one shared global
+// scope like the service worker's, with a fake `chrome` and a clock the
+// tests move forward by hand. Run the tests with `node --test tests/`.
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+/**
+ * A fake `chrome` with the APIs the scripts use. Storage keeps copies, like
+ * the real one, and answers on a later tick so concurrent callers
+ * interleave the way they do in the browser.
+ * @param {{activeTabId?: number}} [options]
+ */
+function createChrome(options = {}) {
+  const event = () => {
+    const listeners = [];
+    return {
+      listeners,
+      addListener: (listener) => listeners.push(listener),
+    };
+  };
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+  const copy = (value) =>
+    value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+  const storageArea = (extra = {}) => {
+    const data = {};
+    return {
+      data,
+      ...extra,
+      async get(keys) {
+        await tick();
+        if (keys === null || keys === undefined) return copy(data);
+        const result = {};
+        [].concat(keys).forEach((key) => {
+          if (key in data) result[key] = copy(data[key]);
+        });
+        return result;
+      },
+      async set(items) {
+        await tick();
+        Object.assign(data, copy(items));
+      },
+      async remove(keys) {
+        await tick();
+        [].concat(keys).forEach((key) => delete data[key]);
+      },
+      async getBytesInUse() {
+        return JSON.stringify(data).length;
+      },
+    };
+  };
+
+  const alarms = {};
+  const sentMessages = [];
+  const notifications = [];
+  return {
+    alarms: {
+      created: alarms,
+      create: (name, info) => (alarms[name] = info),
+      clear: async (name) => delete alarms[name],
+      onAlarm: event(),
+    },
+    storage: {
+      local: storageArea(),
+      sync: storageArea({ QUOTA_BYTES: 102400, QUOTA_BYTES_PER_ITEM: 8192 }),
+      onChanged: event(),
+    },
+    runtime: {
+      onInstalled: event(),
+      onStartup: event(),
+      onMessage: event(),
+    },
+    tabs: {
+      sentMessages,
+      onUpdated: event(),
+      onRemoved: event(),
+      onActivated: event(),
+      sendMessage: async (tabId, message) => {
+        sentMessages.push({ tabId, message });
+      },
+      update: async () => {},
+    },
+    windows: {
+      onFocusChanged: event(),
+      getLastFocused: async () => ({
+        focused: true,
+        tabs: [{ id: options.activeTabId ?? 1, active: true }],
+      }),
+    },
+    idle: {
+      setDetectionInterval: () => {},
+      onStateChanged: event(),
+      queryState: async () => "active",
+    },
+    action: {
+      setBadgeText: () => {},
+      setBadgeBackgroundColor: () => {},
+    },
+    notifications: {
+      created: notifications,
+      create: (id, options) => notifications.push({ id, ...options }),
+    },
+  };
+}
+
+/**
+ * A Date whose "now" is `clock.now`, so timers can be run for hours at once.
+ */
+function createClockDate(clock) {
+  return class ClockDate extends Date {
+    constructor(...args) {
+      if (args.length) super(...args);
+      else super(clock.now);
+    }
+    static now() {
+      return clock.now;
+    }
+  };
+}
+
+/**
+ * Loads scripts (paths from the repo root) into a fresh global scope.
+ * @param {string[]} files
+ * @param {object} [options]
+ * @param {number} [options.now] - Epoch ms to start the clock at.
+ * @param {number} [options.activeTabId] - The tab the focused window shows.
+ * @param {object} [options.globals] - More globals, e.g. a stub `document`.
+ * @returns {{chrome: object, clock: {now: number}, run: (code: string) => any}}
+ *   `run` evaluates code in the scripts' scope, e.g. to read a const.
+ */
+function loadExtension(files, options = {}) {
+  const clock = { now: options.now ?? Date.now() };
+  const chrome = createChrome(options);
+  const context = vm.createContext({
+    chrome,
+    console: { ...console, log: () => {}, warn: () => {}, error: () => {} },
+    Date: createClockDate(clock),
+    structuredClone,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    TextEncoder,
+    AbortController,
+    crypto,
+    ...options.globals,
+  });
+  context.importScripts = (...names) => names.forEach(load);
+  function load(file) {
+    const code = fs.readFileSync(path.join(ROOT, file), "utf8");
+    vm.runInContext(code, context, { filename: file });
+  }
+  files.forEach(load);
+  return { chrome, clock, run: (code) => vm.runInContext(code, context) };
+}
+
+/**
+ * Epoch ms of a local date and time, e.g. at("2024-03-04", "23:50").
+ */
+function at(dateKey, time = "12:00") {
+  return new Date(`${dateKey}T${time}`).getTime();
+}
+
+module.exports = { loadExtension, at };
@@ -0,0 +1,77 @@
+// Saving the settings page, which may be stale: the settings can change
+// under it (popup, background, another device) while it's open.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension } = require("./helpers/extension");
+
+function setup() {
+  const document = { addEventListener: () => {} };
+  const ext = loadExtension(["shared.js", "settings/settings.js"], {
+    globals: { document },
+  });
+  // What saveSettings() writes, as plain JSON (not the vm's objects)
+  const merge = (...args) =>
+    JSON.parse(
+      ext.run(`JSON.stringify(mergeSettingsEdits(...${JSON.stringify(args)}))`)
+    );
+  const defaults = JSON.parse(ext.run("JSON.stringify(normalizeSettings())"));
+  const copy = () => JSON.parse(JSON.stringify(defaults));
+  const trash = (settings) => settings.categories.find((c) => c.id === "trash");
+  return { merge, copy, trash };
+}
+
+test("saving a stale page keeps the changes made elsewhere", () => {
+  const { merge, copy, trash } = setup();
+  const shown = copy();
+  // Meanwhile another device raised the Trash limit, and the popup added a
+  // channel to Interesting
+  const stored = copy();
+  trash(stored).limit = 5;
+  stored.categories[1].channels = ["Veritasium"];
+  // The user only changed the day start on the page
+  const edited = copy();
+  edited.dayStartHour = 4;
+
+  const saved = merge(stored, shown, edited);
+  assert.equal(saved.dayStartHour, 4);
+  assert.equal(trash(saved).limit, 5);
+  assert.deepEqual(saved.categories[1].channels, ["Veritasium"]);
+});
+
+test("the fields edited on the page win over the stored ones", () => {
+  const { merge, copy, trash } = setup();
+  const shown = copy();
+  const stored = copy();
+  trash(stored).limit = 5;
+  trash(stored).description = "Memes";
+  stored.warnings.percent = 50;
+  const edited = copy();
+  trash(edited).limit = 2;
+  edited.warnings.fadeOut = true;
+
+  const saved = merge(stored, shown, edited);
+  assert.equal(trash(saved).limit, 2);
+  assert.equal(trash(saved).description, "Memes");
+  assert.deepEqual(saved.warnings, { ...stored.warnings, fadeOut: true });
+});
+
+test("categories added or deleted on either side stay so", () => {
+  const { merge, copy, trash } = setup();
+  const shown = copy();
+  const stored = copy();
+  stored.categories.push({ ...trash(stored), id: "music", name: "Music" });
+  const edited = copy();
+  edited.categories = edited.categories.filter((c) => c.id !== "trash");
+  edited.categories.push({ ...trash(shown), id: "news", name: "News" });
+
+  const saved = merge(stored, shown, edited);
+  assert.deepEqual(
+    saved.categories.map((c) => c.id),
+    [
+      ...shown.categories.map((c) => c.id).filter((id) => id !== "trash"),
+      "news",
+      "music",
+    ]
+  );
+});
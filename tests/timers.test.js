@@ -0,0 +1,205 @@
+// Replays interleaved tab events through the timer store (timers.js) and
+// checks that every minute watched is recorded once, across day starts too.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension, at } = require("./helpers/extension");
+
+const MIN = 60 * 1000;
+
+/**
+ * Loads the timer store with a fake browser around it: which tab is
+ * attended, and the background's event handlers reduced to their timer
+ * changes (see syncTimers(), setTabPlaying(), stopTimerAndSave() and the
+ * alarm's handleNewDayCheck() in background.js).
+ */
+function setup(now, dayStartHour = 0) {
+  const ext = loadExtension(["shared.js", "timers.js"], { now });
+  const store = ext.run(
+    `({ updateTimers, getActiveTimers, createTimer, resumeTiming,
+        pauseTiming, accrueTiming, getTimerMsToday })`
+  );
+  const browser = { attendedTabId: null };
+  const recorded = {}; // { [dateKey]: { [category]: ms } }
+
+  const record = (dateKey, timer) => {
+    const day = (recorded[dateKey] = recorded[dateKey] || {});
+    day[timer.category] = (day[timer.category] || 0) + timer.totalTimeMs;
+  };
+  const recordParts = (parts) =>
+    parts.forEach((part) => record(part.dateKey, part.timer));
+  const todayKey = () => ext.run(`getDateKey(new Date(), ${dayStartHour})`);
+
+  // One update per tab, all started at once, like syncTimers()
+  const syncTimers = async () => {
+    const timers = await store.getActiveTimers();
+    await Promise.all(
+      Object.keys(timers).map((tabId) =>
+        store.updateTimers((current) => {
+          const timer = current[tabId];
+          if (!timer) return;
+          const runs = Number(tabId) === browser.attendedTabId && timer.playing;
+          if (runs) store.resumeTiming(timer, ext.clock.now);
+          else
+            recordParts(store.pauseTiming(timer, ext.clock.now, dayStartHour));
+        })
+      )
+    );
+  };
+
+  const events = {
+    start: async (tabId, category) => {
+      await store.updateTimers((timers) => {
+        timers[tabId] = store.createTimer(
+          { category, playing: true },
+          ext.clock.now
+        );
+      });
+      await syncTimers();
+    },
+    activate: (tabId) => {
+      browser.attendedTabId = tabId;
+      return syncTimers();
+    },
+    playback: async (tabId, playing) => {
+      await store.updateTimers((timers) => {
+        if (timers[tabId]) timers[tabId].playing = playing;
+      });
+      await syncTimers();
+    },
+    stop: (tabId) =>
+      store.updateTimers((timers) => {
+        const timer = timers[tabId];
+        if (!timer) return;
+        recordParts(store.pauseTiming(timer, ext.clock.now, dayStartHour));
+        if (timer.totalTimeMs > 0) record(todayKey(), timer);
+        delete timers[tabId];
+      }),
+    alarm: () =>
+      store.updateTimers((timers) => {
+        for (const tabId in timers) {
+          recordParts(
+            store.accrueTiming(timers[tabId], ext.clock.now, dayStartHour)
+          );
+        }
+      }),
+  };
+
+  const advance = (ms) => (ext.clock.now += ms);
+  return { ext, store, events, recorded, advance };
+}
+
+test("concurrent updates each see the one before", async () => {
+  const { store } = setup(at("2024-03-04"));
+  await store.updateTimers((timers) => {
+    timers[1] = { count: 0 };
+  });
+  await Promise.all(
+    Array.from({ length: 50 }, () =>
+      store.updateTimers(async (timers) => {
+        const count = timers[1].count;
+        await new Promise((resolve) => setImmediate(resolve));
+        timers[1].count = count + 1;
+      })
+    )
+  );
+  assert.equal((await store.getActiveTimers())[1].count, 50);
+});
+
+test("a failed update is dropped without blocking the next ones", async () => {
+  const { store } = setup(at("2024-03-04"));
+  const failed = store.updateTimers((timers) => {
+    timers[1] = { category: "trash" };
+    throw new Error("boom");
+  });
+  await assert.rejects(failed, /boom/);
+  await store.updateTimers((timers) => {
+    timers[2] = { category: "phd" };
+  });
+  assert.deepEqual(Object.keys(await store.getActiveTimers()), ["2"]);
+});
+
+test("the timers survive a service worker restart", async () => {
+  const { ext, events } = setup(at("2024-03-04"));
+  await events.activate(1);
+  await events.start(1, "phd");
+
+  const restarted = loadExtension(["shared.js", "timers.js"], {
+    now: ext.clock.now,
+  });
+  Object.assign(
+    restarted.chrome.storage.local.data,
+    ext.chrome.storage.local.data
+  );
+  const timers = await restarted.run("getActiveTimers()");
+  assert.equal(timers[1].category, "phd");
+  assert.equal(timers[1].startTime, ext.clock.now);
+});
+
+test("interleaved tab switches, playback reports and stops lose no time", async () => {
+  const { events, recorded, advance } = setup(at("2024-03-04", "10:00"));
+
+  await Promise.all([events.start(1, "interesting"), events.start(2, "trash")]);
+  await events.activate(1);
+  advance(10 * MIN); // Tab 1 plays 10 min
+
+  // A burst of events at the same moment, as onActivated and the content
+  // scripts fire them; tab 2 ends up attended and playing
+  await Promise.all([
+    events.activate(2),
+    events.playback(2, false),
+    events.activate(1),
+    events.playback(1, true),
+    events.activate(2),
+    events.playback(2, true),
+  ]);
+  advance(5 * MIN); // Tab 2 plays 5 min
+
+  await events.playback(2, false);
+  advance(4 * MIN); // Paused, nothing counts
+
+  await Promise.all([events.playback(2, true), events.stop(1)]);
+  advance(2 * MIN); // Tab 2 plays 2 min
+  await Promise.all([events.stop(2), events.activate(1)]);
+
+  assert.deepEqual(recorded, {
+    "2024-03-04": { interesting: 10 * MIN, trash: 7 * MIN },
+  });
+});
+
+test("a session across the day start is split at that moment", async () => {
+  const { events, recorded, advance } = setup(at("2024-03-04", "23:50"));
+  await events.activate(1);
+  await events.start(1, "trash");
+
+  advance(25 * MIN); // 00:15, the alarm closes off the old day late
+  await events.alarm();
+  advance(5 * MIN);
+  await events.stop(1);
+
+  assert.deepEqual(recorded, {
+    "2024-03-04": { trash: 10 * MIN },
+    "2024-03-05": { trash: 20 * MIN },
+  });
+});
+
+test("time paused before the day start stays on the old day", async () => {
+  const { events, recorded, advance } = setup(
+    at("2024-03-05", "03:40"),
+    4 // The day starts at 4:00
+  );
+  await events.activate(1);
+  await events.start(1, "interesting");
+
+  advance(10 * MIN); // 3:50, paused
+  await events.playback(1, false);
+  advance(20 * MIN); // 4:10, a new day, played again
+  await events.playback(1, true);
+  advance(5 * MIN);
+  await Promise.all([events.activate(2), events.stop(1)]);
+
+  assert.deepEqual(recorded, {
+    "2024-03-04": { interesting: 10 * MIN },
+    "2024-03-05": { interesting: 5 * MIN },
+  });
+});
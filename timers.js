@@ -0,0 +1,180 @@
+// --- ACTIVE TIMER STATE ---
+// The timers of the tabs being timed, keyed by tab id. Tab switches,
+// playback reports, messages and the alarm all change them concurrently, so
+// every change goes through updateTimers(), which runs one change at a time
+// in call order. The state is cached in memory and written through to
+// storage, where it is reloaded from when the service worker restarts.
+// Loaded by the service worker (importScripts), after shared.js.
+
+const ACTIVE_TIMERS_KEY = "activeTimers";
+
+/**
+ * @typedef {object} Timer
+ * @property {string} category - Category id.
+ * @property {number} totalTimeMs - Time counted so far on the timer's day,
+ *   not including the running part.
+ * @property {number|null} startTime - Epoch ms the running part started,
+ *   null while paused.
+ * @property {number} startedAt - Epoch ms the timer started, or its day
+ *   started if it was running at the day start. Used for the history.
+ * @property {"ai"|"rule"|"channel"|"user"|"shorts"} source - Who picked the category.
+ * @property {object|null} rule - The rule that fired, when source is "rule".
+ * @property {boolean} shorts - Also counted against the Shorts limit.
+ * @property {object} item - Item info (see getItemInfo() in sites/).
+ * @property {boolean} playing - As reported by the content script.
+ * @property {boolean} [blocked] - The tab shows the block overlay.
+ * @property {number} [overrideFormAt] - Epoch ms the overlay's override
+ *   form was opened, the wait before an override counts from then.
+ */
+
+/**
+ * @typedef {object} TimerPart - Time of a timer that belongs to a past day.
+ * @property {string} dateKey - "YYYY-MM-DD"
+ * @property {number} endTime - Epoch ms, when that day ended.
+ * @property {Timer} timer - Copy of the timer with that day's total.
+ */
+
+let timerState = null; // Last saved state, loaded on first use
+let timerQueue = Promise.resolve(); // Settles when the queued updates are done
+
+async function loadTimerState() {
+  if (!timerState) {
+    const data = await chrome.storage.local.get(ACTIVE_TIMERS_KEY);
+    timerState = timerState || data[ACTIVE_TIMERS_KEY] || {};
+  }
+  return timerState;
+}
+
+/**
+ * A copy of the timers as last saved. Changing it changes nothing; use
+ * updateTimers() for that.
+ * @returns {Promise<Object<string, Timer>>}
+ */
+async function getActiveTimers() {
+  return structuredClone(await loadTimerState());
+}
+
+/**
+ * @param {number} tabId
+ * @returns {Promise<Timer|null>} A copy, like getActiveTimers().
+ */
+async function getTimer(tabId) {
+  return (await getActiveTimers())[tabId] || null;
+}
+
+/**
+ * Changes the timers, once every earlier update is done. `mutate` gets a
+ * copy of the timers to change in place; it is saved (if changed) when
+ * `mutate` returns, and dropped if it throws. `mutate` must not call
+ * updateTimers() itself (it would wait for itself), but reading with
+ * getActiveTimers() is fine.
+ * @param {(timers: Object<string, Timer>) => any} mutate - May be async.
+ * @returns {Promise<any>} What `mutate` returned.
+ */
+function updateTimers(mutate) {
+  const update = timerQueue.then(async () => {
+    const timers = structuredClone(await loadTimerState());
+    const result = await mutate(timers);
+    if (JSON.stringify(timers) !== JSON.stringify(timerState)) {
+      await chrome.storage.local.set({ [ACTIVE_TIMERS_KEY]: timers });
+      timerState = timers;
+    }
+    return result;
+  });
+  // A failed update must not block the ones queued after it
+  timerQueue = update.catch((err) =>
+    console.error("Timer update failed:", err)
+  );
+  return update;
+}
+
+// --- TRANSITIONS ---
+// A timer is paused (startTime null) or running. These change a timer in
+// place; the ones that count time return the parts of it that belong to
+// past days, for the caller to record.
+
+/**
+ * A new, paused timer.
+ * @param {object} fields - category, source, rule, shorts, item, playing.
+ * @param {number} [now] - Epoch ms.
+ * @returns {Timer}
+ */
+function createTimer(fields, now = Date.now()) {
+  return {
+    totalTimeMs: 0,
+    startTime: null,
+    startedAt: now,
+    blocked: false,
+    ...fields,
+  };
+}
+
+/**
+ * Starts counting a paused timer.
+ * @returns {boolean} False if it was already running.
+ */
+function resumeTiming(timer, now = Date.now()) {
+  if (timer.startTime) return false;
+  timer.startTime = now;
+  return true;
+}
+
+/**
+ * Stops counting a running timer, adding the running part to its total.
+ * @returns {TimerPart[]} See accrueTiming().
+ */
+function pauseTiming(timer, now = Date.now(), dayStartHour = 0) {
+  const parts = accrueTiming(timer, now, dayStartHour);
+  timer.startTime = null;
+  return parts;
+}
+
+/**
+ * Adds the running part of a timer up to `now` to its total, without
+ * pausing it. If a day started since the timer's day did, the time up to
+ * that exact moment is split off, so a session that crosses the day start
+ * counts for both days however late this runs.
+ * @param {Timer} timer
+ * @param {number} [now] - Epoch ms.
+ * @param {number} [dayStartHour] - See DEFAULT_SETTINGS.dayStartHour.
+ * @returns {TimerPart[]} The time of past days, oldest first, to record.
+ */
+function accrueTiming(timer, now = Date.now(), dayStartHour = 0) {
+  const parts = [];
+  let dayEnd = getNextDayStart(new Date(timer.startedAt), dayStartHour);
+  while (dayEnd.getTime() <= now) {
+    const endTime = dayEnd.getTime();
+    if (timer.startTime && timer.startTime < endTime) {
+      timer.totalTimeMs += endTime - timer.startTime;
+      timer.startTime = endTime;
+    }
+    if (timer.totalTimeMs > 0) {
+      parts.push({
+        dateKey: getDateKey(new Date(timer.startedAt), dayStartHour),
+        endTime: endTime,
+        timer: structuredClone(timer),
+      });
+    }
+    timer.totalTimeMs = 0;
+    timer.startedAt = endTime;
+    dayEnd = getNextDayStart(dayEnd, dayStartHour);
+  }
+
+  if (timer.startTime) {
+    timer.totalTimeMs += now - timer.startTime;
+    timer.startTime = now;
+  }
+  return parts;
+}
+
+/**
+ * The time a timer counts for today, including the running part. Time from
+ * before today started belongs to the previous day (see accrueTiming).
+ * @returns {number} Milliseconds.
+ */
+function getTimerMsToday(timer, now = Date.now(), dayStartHour = 0) {
+  const todayStart = getDayStart(new Date(now), dayStartHour).getTime();
+  let totalMs = timer.startedAt >= todayStart ? timer.totalTimeMs : 0;
+  if (timer.startTime) totalMs += now - Math.max(timer.startTime, todayStart);
+  return totalMs;
+}